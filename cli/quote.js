@@ -0,0 +1,439 @@
+#!/usr/bin/env node
+/**
+ * QUOTE TOOL (command line)
+ *
+ * Prices customers without the UI, on the same engine (src/engine.js).
+ * One customer from flags, or many from a JSON/CSV file, printed as a
+ * table, JSON or CSV:
+ *
+ *   npm run quote -- --kwh 900 --region penang --panels 14 --battery 1
+ *   npm run quote -- --input customers.csv --output quotes.csv
+ *
+ * CSV columns and JSON keys use the flag names (see FIELDS). Flags given
+ * alongside a file apply to every customer that leaves them blank.
+ */
+import { readFileSync, writeFileSync } from 'node:fs';
+import { extname } from 'node:path';
+import process from 'node:process';
+import { parseArgs } from 'node:util';
+import {
+  estimate,
+  describeSystem,
+  clampPanelCount,
+  getPanelLimit,
+  DEFAULT_AUDIT,
+  DEFAULT_STRATEGY,
+  DEFAULT_REPORT_SETTINGS
+} from '../src/engine.js';
+import { PANEL_COUNT_RANGE } from '../src/optimiser.js';
+import { TARIFF_PROFILES } from '../src/tariffs.js';
+import { REGIONS } from '../src/irradiance.js';
+import { HOUSE_TYPES, ROOF_TYPES, ROOF_FACINGS, SHADING_LEVELS } from '../src/roof.js';
+import { HOUSE_PHASES } from '../src/inverters.js';
+import { PANELS, BATTERIES, INVERTERS } from '../src/catalogue.js';
+import { PRICING, PROMOTIONS } from '../src/costing.js';
+import { USAGE_BASES, parseUsageCsv } from '../src/usageHistory.js';
+import { APPLIANCE_TYPES, createAppliance } from '../src/appliances.js';
+
+const FORMATS = ['table', 'json', 'csv'];
+
+// Keys a JSON entry shaped { audit, strategy, settings } may set
+const SECTION_DEFAULTS = { audit: DEFAULT_AUDIT, strategy: DEFAULT_STRATEGY, settings: DEFAULT_REPORT_SETTINGS };
+
+const ids = (list) => list.map((item) => item.id);
+
+// Input fields: where each lands in { audit, strategy, settings } and how it is read
+const FIELDS = [
+  { key: 'name', help: 'Customer name (label only)' },
+  { key: 'phone', section: 'audit', path: 'phone', help: 'Phone number' },
+  { key: 'kwh', section: 'audit', path: 'monthlyKwh', type: 'number', help: 'Monthly usage in kWh' },
+  { key: 'usage', section: 'audit', path: 'monthlyUsage', type: 'usage', help: 'Jan-Dec kWh, separated by ";" or spaces' },
+  { key: 'basis', section: 'audit', path: 'usageBasis', choices: ids(USAGE_BASES), help: 'Sizing basis for a usage history' },
+  { key: 'tariff', section: 'audit', path: 'tariffId', choices: ids(TARIFF_PROFILES) },
+  { key: 'region', section: 'audit', path: 'regionId', choices: ids(REGIONS) },
+  { key: 'phase', section: 'audit', path: 'housePhase', choices: ids(HOUSE_PHASES) },
+  { key: 'house', section: 'audit', path: 'houseType', choices: ids(HOUSE_TYPES) },
+  { key: 'roof', section: 'audit', path: 'roofType', choices: ids(ROOF_TYPES) },
+  { key: 'facing', section: 'audit', path: 'roofFacing', choices: ids(ROOF_FACINGS) },
+  { key: 'tilt', section: 'audit', path: 'roofTilt', type: 'number', help: 'Roof tilt in degrees' },
+  { key: 'shading', section: 'audit', path: 'shading', choices: ids(SHADING_LEVELS) },
+  { key: 'day', section: 'strategy', path: 'dayUsagePercent', type: 'number', help: 'Share of usage in the day, %' },
+  { key: 'panel', section: 'strategy', path: 'panelId', choices: ids(PANELS) },
+  { key: 'panels', section: 'strategy', path: 'panelCount', type: 'panels', help: 'Panel count, or "auto" to size from usage' },
+  { key: 'battery', section: 'strategy', path: 'batteryUnits', type: 'count', help: 'Battery units, 0 for none' },
+  { key: 'battery-model', section: 'strategy', path: 'batteryId', choices: ids(BATTERIES) },
+  { key: 'inverter', section: 'strategy', path: 'inverterId', choices: ids(INVERTERS), help: 'Inverter model (auto-sized if omitted)' },
+  { key: 'horizon', section: 'settings', path: 'returnsHorizon', type: 'number', help: `Returns horizon in years (${PRICING.horizons.join(', ')})` },
+  { key: 'promos', section: 'settings', path: 'promoIds', type: 'promos', help: `Promotions separated by ";", or "none" (${ids(PROMOTIONS).join(', ')})` }
+];
+
+// Report columns, in output order
+const COLUMNS = [
+  { key: 'name', label: 'Customer' },
+  { key: 'monthlyKwh', label: 'Usage (kWh/mo)', digits: 0 },
+  { key: 'systemKwp', label: 'System (kWp)', digits: 2 },
+  { key: 'panels', label: 'Panels' },
+  { key: 'battery', label: 'Battery' },
+  { key: 'inverter', label: 'Inverter' },
+  { key: 'oldBill', label: 'Bill Before (RM)', digits: 2 },
+  { key: 'newBill', label: 'Bill After (RM)', digits: 2 },
+  { key: 'monthlySavings', label: 'Savings (RM/mo)', digits: 2 },
+  { key: 'annualSavings', label: 'Savings (RM/yr)', digits: 2 },
+  { key: 'exportKwh', label: 'Export (kWh/mo)', digits: 0 },
+  { key: 'trapLoss', label: 'Export Loss (RM/mo)', digits: 2 },
+  { key: 'upfrontCost', label: 'Upfront (RM)', digits: 2 },
+  { key: 'paybackYears', label: 'Payback (yrs)', digits: 1 },
+  { key: 'irr', label: 'IRR (%)', digits: 1 },
+  { key: 'npv', label: 'NPV (RM)', digits: 2 },
+  { key: 'horizonSavings', label: 'Horizon Savings (RM)', digits: 2 },
+  { key: 'error', label: 'Error' }
+];
+
+class InputError extends Error {}
+
+// Helper: Minimal RFC 4180 CSV reader (quoted fields, "" escapes, CRLF)
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...records] = rows.filter((r) => r.some((value) => value.trim()));
+  if (!header) return [];
+  const keys = header.map((column) => column.trim().toLowerCase());
+  return records.map((values) => Object.fromEntries(keys.map((key, index) => [key, (values[index] || '').trim()])));
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const csvValue = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Helper: One field's value as the engine takes it, checked the same way whether
+// it came from a flag, a CSV cell or a nested JSON entry (`label` names it in errors)
+const readField = (field, raw, label = `--${field.key}`) => {
+  const text = String(raw).trim();
+
+  if (field.choices && !field.choices.includes(text)) {
+    throw new InputError(`${label} "${text}" is not one of: ${field.choices.join(', ')}`);
+  }
+  if (field.type === 'number' || field.type === 'count' || (field.type === 'panels' && text !== 'auto')) {
+    const value = Number(text);
+    if (text === '' || !Number.isFinite(value) || value < 0) throw new InputError(`${label} must be a number, got "${text}"`);
+    if (field.type !== 'number' && !Number.isInteger(value)) throw new InputError(`${label} must be a whole number, got "${text}"`);
+    return value;
+  }
+  if (field.type === 'usage') {
+    if (Array.isArray(raw)) {
+      const isValid = raw.length === 12 && raw.every((kwh) => kwh === null || (typeof kwh === 'number' && Number.isFinite(kwh) && kwh >= 0));
+      if (!isValid) throw new InputError(`${label} must list 12 monthly kWh figures (null where unknown)`);
+      return raw;
+    }
+    const value = parseUsageCsv(text);
+    if (!value) throw new InputError(`${label} has no usable monthly figures: "${text}"`);
+    return value;
+  }
+  if (field.type === 'promos') {
+    const value = Array.isArray(raw) ? raw.map(String) : text === 'none' ? [] : text.split(/[;\s]+/).filter(Boolean);
+    const unknown = value.find((id) => !ids(PROMOTIONS).includes(id));
+    if (unknown) throw new InputError(`${label} "${unknown}" is not one of: ${ids(PROMOTIONS).join(', ')}`);
+    return value;
+  }
+  return text;
+};
+
+// Helper: A nested JSON value with no flag of its own, checked against the type of
+// its default (appliances by their type's ratings, settings objects key by key)
+const readNestedValue = (raw, fallback, label) => {
+  if (Array.isArray(fallback)) {
+    if (!Array.isArray(raw)) throw new InputError(`${label} must be a list`);
+    return raw.map((entry, index) => {
+      const type = isObject(entry) && APPLIANCE_TYPES.find((t) => t.id === entry.type);
+      if (!type) throw new InputError(`${label}[${index}].type must be one of: ${ids(APPLIANCE_TYPES).join(', ')}`);
+      const appliance = createAppliance(type.id, index + 1);
+      Object.entries(entry).forEach(([key, value]) => {
+        if (key === 'type' || key === 'key') return;
+        if (!(key in appliance)) throw new InputError(`${label}[${index}].${key} is not a known field`);
+        appliance[key] = readNestedValue(value, appliance[key], `${label}[${index}].${key}`);
+      });
+      return appliance;
+    });
+  }
+  if (isObject(fallback)) {
+    if (!isObject(raw)) throw new InputError(`${label} must be an object`);
+    return Object.fromEntries(Object.entries(fallback).map(([key, value]) => [
+      key,
+      raw[key] === undefined ? value : readNestedValue(raw[key], value, `${label}.${key}`)
+    ]));
+  }
+  if (fallback === null) {
+    if (raw !== null && !isObject(raw)) throw new InputError(`${label} must be an object or null`);
+    return raw;
+  }
+  if (typeof fallback === 'number') {
+    if (typeof raw !== 'number' || !Number.isFinite(raw) || raw < 0) throw new InputError(`${label} must be a number, got "${raw}"`);
+    return raw;
+  }
+  if (typeof fallback === 'boolean' && typeof raw !== 'boolean') throw new InputError(`${label} must be true or false, got "${raw}"`);
+  if (typeof raw !== typeof fallback) throw new InputError(`${label} must be text, got "${raw}"`);
+  return raw;
+};
+
+// Helper: One flat record (flags, a CSV row or a flat JSON object) -> engine input
+const recordToInput = (record) => {
+  const input = { name: '', audit: {}, strategy: {}, settings: {} };
+  FIELDS.forEach((field) => {
+    const raw = record[field.key];
+    if (raw === undefined || raw === null || String(raw).trim() === '') return;
+    const value = readField(field, raw);
+
+    if (field.key === 'name') input.name = value;
+    else input[field.section][field.path] = value;
+  });
+
+  if (input.strategy.batteryUnits !== undefined) {
+    input.strategy.hasBattery = input.strategy.batteryUnits > 0;
+    input.strategy.batteryUnits = Math.max(1, input.strategy.batteryUnits);
+  }
+  if (input.audit.monthlyUsage && !input.audit.usageBasis) input.audit.usageBasis = 'monthly';
+  return input;
+};
+
+// Helper: A JSON entry already shaped { audit, strategy, settings } -> engine input,
+// each key checked against the engine's defaults and, where it has one, its field
+const nestedToInput = (record) => {
+  const input = { name: record.name ? String(record.name).trim() : '', audit: {}, strategy: {}, settings: {} };
+  Object.entries(SECTION_DEFAULTS).forEach(([section, defaults]) => {
+    const values = record[section] ?? {};
+    if (!isObject(values)) throw new InputError(`${section} must be an object`);
+
+    Object.entries(values).forEach(([path, raw]) => {
+      if (!(path in defaults)) throw new InputError(`${section}.${path} is not a known field`);
+      const field = FIELDS.find((f) => f.section === section && f.path === path);
+      if (!field) {
+        input[section][path] = readNestedValue(raw, defaults[path], `${section}.${path}`);
+      } else if (raw !== null && raw !== undefined) {
+        input[section][path] = readField(field, raw, `${section}.${path}`);
+      }
+    });
+  });
+  return input;
+};
+
+// Panel count as the planner would accept it: "auto" sizes to the recommendation,
+// anything else is held to what the roof can take (with a note when that changes it)
+const resolvePanelCount = (input, note) => {
+  const system = describeSystem(input);
+  const isAuto = input.strategy.panelCount === 'auto';
+  const requested = isAuto
+    ? Math.ceil((system.recommendedSystemSize * 1000) / system.panel.wattage)
+    : system.strategy.panelCount;
+  const count = clampPanelCount(system.audit, system.panel, requested);
+
+  if (count !== requested) {
+    const max = getPanelLimit(system.audit, system.panel);
+    const min = Math.min(PANEL_COUNT_RANGE.min, max);
+    note(`quoting ${count} panels instead of ${isAuto ? 'the recommended ' : ''}${requested}; this roof takes ${min}-${max} ${system.panel.brand} ${system.panel.wattage}W panels`);
+  }
+  return count;
+};
+
+const quote = (input, note) => {
+  const strategy = { ...input.strategy, panelCount: resolvePanelCount(input, note) };
+  const settings = { ...DEFAULT_REPORT_SETTINGS, ...input.settings };
+  const { system, formula, report, pricing } = estimate({ audit: input.audit, strategy, settings });
+  const { upfront, annualSavings, returns } = pricing;
+
+  // Quoted anyway, as the planner does, but with its warning
+  if (system.isOverPhaseLimit) {
+    note(`${system.effectiveSystemSize.toFixed(1)} kWp exceeds the ${system.maxSystemKwp.toFixed(1)} kWp a ${system.housePhase.name.toLowerCase()} supply can take; reduce panels or upgrade to three-phase`);
+  }
+
+  return {
+    name: input.name || (system.audit.phone ? `+60 ${system.audit.phone}` : ''),
+    monthlyKwh: formula.A,
+    systemKwp: formula.D * formula.E,
+    panels: `${formula.D} x ${formula.panel.brand} ${formula.panel.wattage}W`,
+    battery: formula.H > 0 ? `${formula.H} x ${system.battery.brand} ${system.battery.model}` : 'None',
+    inverter: `${formula.inverter.brand} ${formula.inverter.model}`,
+    oldBill: report.oldBill,
+    newBill: report.newBill,
+    monthlySavings: report.monthlySavings,
+    annualSavings,
+    exportKwh: report.totalExported,
+    trapLoss: report.lossAmount,
+    upfrontCost: upfront.total,
+    paybackYears: returns.simplePaybackYears,
+    irr: returns.irr !== null ? returns.irr * 100 : null,
+    npv: returns.npv,
+    horizonSavings: returns.totalSavings,
+    error: ''
+  };
+};
+
+const readRecords = (file) => {
+  let text;
+  try {
+    text = readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new InputError(`Cannot read ${file}: ${error.message}`);
+  }
+  if (extname(file).toLowerCase() !== '.json') return parseCsv(text);
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new InputError(`${file} is not valid JSON: ${error.message}`);
+  }
+  return Array.isArray(data) ? data : [data];
+};
+
+// JSON entries may already be { audit, strategy, settings }; everything else is a flat record
+const toInput = (record, defaults) => {
+  if (!isObject(record)) throw new InputError('entry must be an object');
+  if (record.audit || record.strategy || record.settings) {
+    const input = nestedToInput(record);
+    return {
+      name: input.name || defaults.name,
+      audit: { ...defaults.audit, ...input.audit },
+      strategy: { ...defaults.strategy, ...input.strategy },
+      settings: { ...defaults.settings, ...input.settings }
+    };
+  }
+  return recordToInput({ ...defaults.record, ...record });
+};
+
+const formatCell = (column, value) => {
+  if (value === null || value === undefined) return '';
+  return column.digits !== undefined && typeof value === 'number' ? value.toFixed(column.digits) : String(value);
+};
+
+const render = (quotes, format) => {
+  const columns = quotes.some((q) => q.error) ? COLUMNS : COLUMNS.filter((column) => column.key !== 'error');
+
+  if (format === 'json') {
+    const jsonValue = (column, value) => (
+      column.digits !== undefined && typeof value === 'number' ? Number(value.toFixed(column.digits)) : value ?? null
+    );
+    return `${JSON.stringify(quotes.map((q) => Object.fromEntries(columns.map((column) => [column.key, jsonValue(column, q[column.key])]))), null, 2)}\n`;
+  }
+  if (format === 'csv') {
+    const lines = [
+      columns.map((column) => column.key).join(','),
+      ...quotes.map((q) => columns.map((column) => csvValue(formatCell(column, q[column.key]))).join(','))
+    ];
+    return `${lines.join('\n')}\n`;
+  }
+
+  // One customer reads best as a list, several as a grid
+  if (quotes.length === 1) {
+    const labelWidth = Math.max(...columns.map((column) => column.label.length));
+    return `${columns.map((column) => `${column.label.padEnd(labelWidth)}  ${formatCell(column, quotes[0][column.key])}`).join('\n')}\n`;
+  }
+  const cells = quotes.map((q) => columns.map((column) => formatCell(column, q[column.key])));
+  const widths = columns.map((column, index) => Math.max(column.key.length, ...cells.map((row) => row[index].length)));
+  const line = (values) => values.map((value, index) => (columns[index].digits !== undefined ? value.padStart(widths[index]) : value.padEnd(widths[index]))).join('  ');
+  return `${[line(columns.map((column) => column.key)), ...cells.map(line)].join('\n')}\n`;
+};
+
+const usage = () => [
+  'Usage: npm run quote -- [options]',
+  '',
+  '  --input <file>    Customers from a .csv or .json file (one quote per row/entry)',
+  '  --output <file>   Write the report to a file (format from the extension)',
+  `  --format <name>   ${FORMATS.join(' | ')} (default: table)`,
+  '  --help            Show this message',
+  '',
+  'Customer fields (flags, CSV columns or JSON keys):',
+  ...FIELDS.map((field) => `  --${field.key.padEnd(15)} ${field.help || `One of: ${field.choices.join(', ')}`}`)
+].join('\n');
+
+const main = () => {
+  const { values } = parseArgs({
+    options: {
+      input: { type: 'string', short: 'i' },
+      output: { type: 'string', short: 'o' },
+      format: { type: 'string', short: 'f' },
+      help: { type: 'boolean', short: 'h' },
+      ...Object.fromEntries(FIELDS.map((field) => [field.key, { type: 'string' }]))
+    }
+  });
+
+  if (values.help) {
+    console.log(usage());
+    return 0;
+  }
+
+  const outputExtension = values.output ? extname(values.output).slice(1).toLowerCase() : '';
+  const format = values.format || (FORMATS.includes(outputExtension) ? outputExtension : 'table');
+  if (!FORMATS.includes(format)) throw new InputError(`--format must be one of: ${FORMATS.join(', ')}`);
+
+  const record = Object.fromEntries(FIELDS.filter((field) => values[field.key] !== undefined).map((field) => [field.key, values[field.key]]));
+  const defaults = { ...recordToInput(record), record };
+
+  const entries = values.input ? readRecords(values.input) : [record];
+  if (entries.length === 0) throw new InputError(`${values.input} has no customers`);
+
+  // A bad row is reported and skipped so the rest of a batch still goes out
+  let failed = 0;
+  const quotes = entries.map((entry, index) => {
+    try {
+      return quote(toInput(entry, defaults), (note) => console.error(`Row ${index + 1}: ${note}`));
+    } catch (error) {
+      if (!(error instanceof InputError)) throw error;
+      failed += 1;
+      console.error(`Row ${index + 1}: ${error.message}`);
+      return { name: (isObject(entry) && entry.name) || `Row ${index + 1}`, error: error.message };
+    }
+  });
+
+  const report = render(quotes, format);
+  if (values.output) {
+    writeFileSync(values.output, report);
+    console.error(`Wrote ${quotes.length - failed} quote${quotes.length - failed === 1 ? '' : 's'} to ${values.output}${failed ? ` (${failed} failed)` : ''}`);
+  } else {
+    process.stdout.write(report);
+  }
+  return failed > 0 ? 1 : 0;
+};
+
+try {
+  process.exitCode = main();
+} catch (error) {
+  if (!(error instanceof InputError) && !String(error.code).startsWith('ERR_PARSE_ARGS')) throw error;
+  console.error(`${error.message}\n\n${usage()}`);
+  process.exitCode = 2;
+}
@@ -0,0 +1,75 @@
+/**
+ * MOCK LEAD SERVER (development only)
+ *
+ * Vite plugin answering /api/leads on the dev server so lead submission
+ * can be exercised without the real CRM endpoint:
+ *   POST /api/leads  store a lead (a repeated leadId updates that lead, not duplicated)
+ *   GET  /api/leads  list what has been received this run
+ * Set MOCK_LEADS_STATUS (e.g. 503) to force an error reply and try the offline queue.
+ */
+import process from 'node:process';
+
+const LEADS_PATH = '/api/leads';
+
+const sendJson = (res, status, body) => {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let raw = '';
+  req.on('data', (chunk) => { raw += chunk; });
+  req.on('end', () => resolve(raw));
+  req.on('error', reject);
+});
+
+export const mockLeadServer = () => {
+  const leads = new Map();
+
+  return {
+    name: 'mock-lead-server',
+    apply: 'serve',
+    configureServer(server) {
+      server.middlewares.use(LEADS_PATH, async (req, res) => {
+        const forcedStatus = Number(process.env.MOCK_LEADS_STATUS);
+        if (forcedStatus) {
+          sendJson(res, forcedStatus, { error: 'Forced by MOCK_LEADS_STATUS' });
+          return;
+        }
+
+        if (req.method === 'GET') {
+          sendJson(res, 200, [...leads.values()]);
+          return;
+        }
+        if (req.method !== 'POST') {
+          sendJson(res, 405, { error: 'Method not allowed' });
+          return;
+        }
+
+        let lead;
+        try {
+          lead = JSON.parse(await readBody(req));
+        } catch {
+          sendJson(res, 400, { error: 'Body must be JSON' });
+          return;
+        }
+        if (!isObject(lead)) {
+          sendJson(res, 400, { error: 'Body must be a JSON object' });
+          return;
+        }
+        if (!lead.leadId || !lead.phone) {
+          sendJson(res, 422, { error: 'leadId and phone are required' });
+          return;
+        }
+
+        const isDuplicate = leads.has(lead.leadId);
+        leads.set(lead.leadId, lead);
+        server.config.logger.info(`[mock-lead-server] ${isDuplicate ? 'updated' : 'new'} lead ${lead.leadId} from ${lead.phone}`);
+        sendJson(res, isDuplicate ? 200 : 201, { leadId: lead.leadId });
+      });
+    }
+  };
+};
@@ -0,0 +1,53 @@
+/**
+ * OFFLINE CACHE (production builds)
+ *
+ * Vite plugin writing sw.js (offline/sw.js) next to the built app, with the
+ * list of every file in the output to precache: the bundle, the PDF
+ * workers and everything copied from public/. The cache is named after a
+ * hash of those files, so each deploy replaces the last one.
+ */
+import { createHash } from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+
+const WORKER_FILE = 'sw.js';
+const CACHE_PREFIX = 'homi-solar-';
+
+// Helper: Every file under dir, as "/"-separated paths relative to it
+const listFiles = (dir, prefix = '') => fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => (
+  entry.isDirectory()
+    ? listFiles(path.join(dir, entry.name), `${prefix}${entry.name}/`)
+    : [`${prefix}${entry.name}`]
+));
+
+export const offlineServiceWorker = () => {
+  let config;
+
+  return {
+    name: 'offline-service-worker',
+    apply: 'build',
+    configResolved(resolvedConfig) {
+      config = resolvedConfig;
+    },
+    // After the write, so public/ has been copied and index.html is final
+    writeBundle() {
+      const outDir = path.resolve(config.root, config.build.outDir);
+      const files = listFiles(outDir).filter((file) => file !== WORKER_FILE && !file.endsWith('.map'));
+
+      const hash = createHash('sha256');
+      files.forEach((file) => hash.update(file).update(fs.readFileSync(path.join(outDir, file))));
+
+      // index.html is requested as the base URL
+      const urls = files.map((file) => `${config.base}${file === 'index.html' ? '' : file}`);
+      const constants = [
+        `const CACHE_PREFIX = ${JSON.stringify(CACHE_PREFIX)};`,
+        `const CACHE_NAME = ${JSON.stringify(`${CACHE_PREFIX}${hash.digest('hex').slice(0, 12)}`)};`,
+        `const PRECACHE_URLS = ${JSON.stringify(urls)};`,
+        `const APP_SHELL = ${JSON.stringify(config.base)};`
+      ].join('\n');
+      const source = fs.readFileSync(new URL('./sw.js', import.meta.url), 'utf8');
+
+      fs.writeFileSync(path.join(outDir, WORKER_FILE), `${constants}\n${source}`);
+    }
+  };
+};
@@ -0,0 +1,58 @@
+/* global CACHE_PREFIX, CACHE_NAME, PRECACHE_URLS, APP_SHELL */
+/**
+ * SERVICE WORKER
+ *
+ * Emitted as sw.js by the build (offline/serviceWorker.js), which declares
+ * the constants above. Caches the whole app on the first visit so the
+ * planner opens and runs with no signal on a site visit.
+ */
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then((cache) => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// A new deploy has a new cache name; drop the old one
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((names) => Promise.all(
+        names.filter((name) => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME).map((name) => caches.delete(name))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Built files never change under the same URL, so they come from the cache
+// first. Pages, a partner's brand config and logo, and anything else go to
+// the network and fall back to the last copy seen.
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  const isPrecached = url.origin === self.location.origin && PRECACHE_URLS.includes(url.pathname);
+  if (isPrecached && request.mode !== 'navigate') {
+    event.respondWith(caches.match(request).then((cached) => cached || fetch(request)));
+    return;
+  }
+
+  event.respondWith(
+    fetch(request)
+      .then((response) => {
+        if (response.ok || response.type === 'opaque') {
+          const copy = response.clone();
+          event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.put(request, copy)));
+        }
+        return response;
+      })
+      .catch(async () => {
+        const cached = await caches.match(request);
+        if (cached) return cached;
+        return request.mode === 'navigate' ? caches.match(APP_SHELL) : Response.error();
+      })
+  );
+});
@@ -1,8 +1,8 @@
 import SolarSimulator from './solar.jsx'
 
-function App() {
+function App({ brand }) {
   return (
-    <SolarSimulator />
+    <SolarSimulator brand={brand} />
   )
 }
 
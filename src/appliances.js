@@ -0,0 +1,97 @@
+/**
+ * APPLIANCE LOAD BUILDER
+ *
+ * Builds a household's daily load from the appliances it runs and when it
+ * runs them. Each appliance draws its rated power for a number of hours from
+ * a start hour (wrapping past midnight), giving a 24-hour profile, a monthly
+ * kWh figure and the share of it that falls in daylight.
+ */
+import { DAY_HOURS } from './energyBalance.js';
+
+// Typical Malaysian ratings; `planned` marks loads usually being added rather than already on the bill
+export const APPLIANCE_TYPES = [
+  { id: 'aircon', name: 'Air-conditioner', planned: false, defaults: { quantity: 2, powerKw: 0.9, hours: 8, startHour: 22 } }, // 1.0-1.5hp inverter, average draw
+  { id: 'water-heater', name: 'Water Heater', planned: false, defaults: { quantity: 1, powerKw: 3, hours: 0.5, startHour: 7 } },
+  { id: 'fridge', name: 'Fridge', planned: false, defaults: { quantity: 1, powerKw: 0.06, hours: 24, startHour: 0 } }, // Compressor duty cycle averaged out
+  { id: 'lighting', name: 'Lighting & TV', planned: false, defaults: { quantity: 1, powerKw: 0.4, hours: 6, startHour: 18 } },
+  { id: 'washer', name: 'Washer / Dryer', planned: false, defaults: { quantity: 1, powerKw: 1.5, hours: 1, startHour: 10 } },
+  { id: 'pool-pump', name: 'Pool Pump', planned: true, defaults: { quantity: 1, powerKw: 1.1, hours: 6, startHour: 9 } },
+  { id: 'pond-pump', name: 'Pond Pump', planned: true, defaults: { quantity: 1, powerKw: 0.15, hours: 24, startHour: 0 } },
+  { id: 'ev', name: 'EV Charger', planned: true, defaults: { quantity: 1, powerKw: 7.4, dailyKm: 40, kwhPerKm: 0.16, batteryKwh: 60, startHour: 22, endHour: 6 } }
+];
+
+// Charging windows an EV can be switched between to compare costs
+export const EV_CHARGING_WINDOWS = [
+  { id: 'overnight', name: 'Overnight', startHour: 22, endHour: 6 },
+  { id: 'daytime', name: 'Daytime (Solar)', startHour: 10, endHour: 16 } // Car at home: WFH or a second car
+];
+
+export const getApplianceType = (id) => {
+  return APPLIANCE_TYPES.find((type) => type.id === id) || APPLIANCE_TYPES[0];
+};
+
+// Helper: New appliance of a type with its default ratings and schedule
+export const createAppliance = (typeId, key) => {
+  const type = getApplianceType(typeId);
+  return { key, type: type.id, planned: type.planned, ...type.defaults };
+};
+
+/**
+ * Daily charging for one car: the energy the day's driving needs (never
+ * more than the car's battery holds), how long the charger takes to put it
+ * back, and what is left short when the window closes first.
+ */
+export const getEvCharging = (appliance) => {
+  const neededKwh = Math.min(appliance.dailyKm * appliance.kwhPerKm, appliance.batteryKwh);
+  const windowHours = (appliance.endHour - appliance.startHour + 24) % 24 || 24;
+  const runHours = appliance.powerKw > 0 ? Math.min(neededKwh / appliance.powerKw, windowHours) : 0;
+  const deliveredKwh = runHours * appliance.powerKw;
+  return { neededKwh, windowHours, runHours, deliveredKwh, shortfallKwh: neededKwh - deliveredKwh };
+};
+
+// Helper: Hours a day the appliance runs at its rated power
+export const getApplianceRunHours = (appliance) => {
+  if (appliance.type === 'ev') return getEvCharging(appliance).runHours;
+  return appliance.hours;
+};
+
+// Helper: kWh one appliance entry uses per day (EVs from distance driven)
+export const getApplianceDailyKwh = (appliance) => {
+  return appliance.quantity * appliance.powerKw * getApplianceRunHours(appliance);
+};
+
+// Helper: 24 hourly kWh buckets for one appliance, running from its start hour
+export const buildApplianceProfile = (appliance) => {
+  const hourly = Array(24).fill(0);
+  const drawKw = appliance.quantity * appliance.powerKw;
+  let remaining = Math.min(24, getApplianceRunHours(appliance));
+  let hour = Math.floor(appliance.startHour) % 24;
+  while (remaining > 0) {
+    const share = Math.min(1, remaining);
+    hourly[hour] += drawKw * share;
+    remaining -= share;
+    hour = (hour + 1) % 24;
+  }
+  return hourly;
+};
+
+/**
+ * Combined load of a set of appliances: the hourly profile, daily and
+ * monthly (30-day) kWh, and the percentage used between DAY_HOURS.
+ */
+export const summarizeAppliances = (appliances) => {
+  const hourly = Array(24).fill(0);
+  appliances.forEach((appliance) => {
+    buildApplianceProfile(appliance).forEach((kwh, hour) => { hourly[hour] += kwh; });
+  });
+  const dailyKwh = hourly.reduce((total, kwh) => total + kwh, 0);
+  const dayKwh = hourly
+    .filter((_, hour) => hour >= DAY_HOURS.start && hour < DAY_HOURS.end)
+    .reduce((total, kwh) => total + kwh, 0);
+  return {
+    hourly,
+    dailyKwh,
+    monthlyKwh: dailyKwh * 30,
+    dayPercent: dailyKwh > 0 ? (dayKwh / dailyKwh) * 100 : 0
+  };
+};
@@ -0,0 +1,105 @@
+/**
+ * TNB BILL PARSER
+ *
+ * Pulls account details and the monthly kWh history out of the text of a
+ * TNB e-bill (from the PDF text layer or pasted by hand). Labels appear in
+ * Malay or English depending on the bill, so both are matched.
+ */
+export const MAX_HISTORY_MONTHS = 12;
+
+// Malay and English month abbreviations -> month index
+const MONTHS = {
+  jan: 0, feb: 1, mac: 2, mar: 2, apr: 3, mei: 4, may: 4, jun: 5,
+  jul: 6, ogo: 7, aug: 7, sep: 8, okt: 9, oct: 9, nov: 10, dis: 11, dec: 11
+};
+
+const ACCOUNT_PATTERN = /(?:No\.?\s*Akaun|Account\s*No\.?|Nombor\s*Akaun)\s*[:.]?\s*(\d[\d\s-]{8,16}\d)/i;
+const NAME_PATTERN = /(?:Nama|Name)\s*[:.]?\s*([A-Z][A-Z .,'@/()-]{2,60}?)\s*(?:\n|$|No\.?\s*Akaun|Account)/;
+const BILL_DATE_PATTERN = /(?:Tarikh\s*Bil|Bill\s*Date)\s*[:.]?\s*(\d{1,2})[./-](\d{1,2})[./-](\d{2,4})/i;
+const CURRENT_USAGE_PATTERN = /(?:Jumlah\s*Penggunaan|Total\s*(?:Usage|Consumption)|Penggunaan\s*Semasa)[^\d\n]{0,20}([\d,]+(?:\.\d+)?)\s*kWh/i;
+const HISTORY_HEADING_PATTERN = /Sejarah\s*Penggunaan|Usage\s*History|Consumption\s*History/i;
+// A number after the month is only a year when a reading follows it, so a
+// yearless "Jan 1234 kWh" reads as 1,234 kWh rather than 2012 and 34 kWh
+const HISTORY_PATTERN = /\b(jan|feb|mac|mar|apr|mei|may|jun|jul|ogo|aug|sep|okt|oct|nov|dis|dec)[a-z]*(?:[\s'.-]*(\d{4}|\d{2})\b(?=\s*[:-]?\s*[\d,]{2,6}))?[\s'.-]*[:-]?\s*([\d,]{2,6}(?:\.\d+)?)\s*(?:kWh)?/gi;
+
+const toNumber = (value) => Number(String(value).replace(/,/g, ''));
+
+const toYear = (value) => {
+  if (!value) return null;
+  const year = Number(value);
+  return year < 100 ? 2000 + year : year;
+};
+
+const monthKey = (year, month) => `${year}-${String(month + 1).padStart(2, '0')}`;
+
+// Helper: Months found in the text, newest last, without a year where the bill omits it
+const parseHistory = (text, billDate) => {
+  // Prefer the history table so dates elsewhere on the bill aren't read as usage
+  const heading = text.search(HISTORY_HEADING_PATTERN);
+  const section = heading >= 0 ? text.slice(heading) : text;
+
+  const entries = [];
+  for (const match of section.matchAll(HISTORY_PATTERN)) {
+    const kwh = toNumber(match[3]);
+    if (!Number.isFinite(kwh) || kwh <= 0 || kwh > 20000) continue;
+    entries.push({ month: MONTHS[match[1].slice(0, 3).toLowerCase()], year: toYear(match[2]), kwh });
+  }
+  if (entries.length === 0) return [];
+
+  // Bills without years list the months leading up to the bill date
+  let fallbackYear = billDate ? billDate.getFullYear() : new Date().getFullYear();
+  let fallbackMonth = billDate ? billDate.getMonth() : 11;
+  const resolved = [...entries].reverse().map((entry) => {
+    if (entry.year === null) {
+      if (entry.month > fallbackMonth) fallbackYear -= 1;
+      fallbackMonth = entry.month;
+      return { month: monthKey(fallbackYear, entry.month), kwh: entry.kwh };
+    }
+    fallbackYear = entry.year;
+    fallbackMonth = entry.month;
+    return { month: monthKey(entry.year, entry.month), kwh: entry.kwh };
+  });
+
+  // One reading per month, most recent MAX_HISTORY_MONTHS, oldest first
+  const byMonth = new Map();
+  resolved.forEach((entry) => {
+    if (!byMonth.has(entry.month)) byMonth.set(entry.month, entry.kwh);
+  });
+  return [...byMonth.entries()]
+    .map(([month, kwh]) => ({ month, kwh }))
+    .sort((a, b) => a.month.localeCompare(b.month))
+    .slice(-MAX_HISTORY_MONTHS);
+};
+
+/**
+ * Parse bill text. Returns null when neither a usage history nor a
+ * current-month figure can be found, so callers fall back to manual entry.
+ */
+export const parseTnbBill = (text) => {
+  if (!text || !text.trim()) return null;
+
+  const accountMatch = text.match(ACCOUNT_PATTERN);
+  const nameMatch = text.match(NAME_PATTERN);
+  const dateMatch = text.match(BILL_DATE_PATTERN);
+  const usageMatch = text.match(CURRENT_USAGE_PATTERN);
+
+  const billDate = dateMatch
+    ? new Date(toYear(dateMatch[3]), Number(dateMatch[2]) - 1, Number(dateMatch[1]))
+    : null;
+  const history = parseHistory(text, billDate);
+  const currentKwh = usageMatch ? toNumber(usageMatch[1]) : null;
+
+  if (history.length === 0 && !currentKwh) return null;
+
+  return {
+    accountNumber: accountMatch ? accountMatch[1].replace(/[\s-]/g, '') : null,
+    accountName: nameMatch ? nameMatch[1].trim() : null,
+    billDate: billDate
+      ? `${monthKey(billDate.getFullYear(), billDate.getMonth())}-${String(billDate.getDate()).padStart(2, '0')}`
+      : null,
+    currentKwh,
+    history: history.length > 0
+      ? history
+      : [{ month: billDate ? monthKey(billDate.getFullYear(), billDate.getMonth()) : 'current', kwh: currentKwh }]
+  };
+};
@@ -0,0 +1,56 @@
+/**
+ * TNB BILL PARSER TESTS
+ *
+ * Run with `npm test` (node:test). The bill text is trimmed to the lines
+ * the parser reads.
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTnbBill } from './billParser.js';
+
+const historyOf = (text) => parseTnbBill(text).history;
+
+describe('usage history', () => {
+  it('reads 4-digit readings on a bill without years', () => {
+    const history = historyOf([
+      'Tarikh Bil: 15/06/2024',
+      'Sejarah Penggunaan',
+      'Jan 1234 kWh',
+      'Feb 980 kWh',
+      'Mac 1,050 kWh',
+      'Apr 1020',
+      'Mei 1100'
+    ].join('\n'));
+
+    assert.deepEqual(history, [
+      { month: '2024-01', kwh: 1234 },
+      { month: '2024-02', kwh: 980 },
+      { month: '2024-03', kwh: 1050 },
+      { month: '2024-04', kwh: 1020 },
+      { month: '2024-05', kwh: 1100 }
+    ]);
+  });
+
+  it('reads the year when a reading follows it', () => {
+    const history = historyOf([
+      'Usage History',
+      'Dec 23 - 700 kWh',
+      "Jan'24 850 kWh",
+      'Feb 2024: 1,234 kWh',
+      'Mar.2024 1020'
+    ].join('\n'));
+
+    assert.deepEqual(history, [
+      { month: '2023-12', kwh: 700 },
+      { month: '2024-01', kwh: 850 },
+      { month: '2024-02', kwh: 1234 },
+      { month: '2024-03', kwh: 1020 }
+    ]);
+  });
+
+  it('falls back to the current usage when there is no history', () => {
+    const bill = parseTnbBill('Tarikh Bil: 03/02/2024\nJumlah Penggunaan 1,420 kWh');
+    assert.equal(bill.currentKwh, 1420);
+    assert.deepEqual(bill.history, [{ month: '2024-02', kwh: 1420 }]);
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * BRANDING
+ *
+ * Everything an installer partner can rebrand: company and product name,
+ * colours, logo, contact details and the sales content (testimonials, USPs,
+ * FAQ, service steps). DEFAULT_BRAND is HomifyTech's own look. A partner
+ * config is a JSON file with any subset of the same keys, loaded at startup
+ * from VITE_BRAND_CONFIG (or the widget's brand-config attribute).
+ *
+ *   {
+ *     "name": "Sunright Energy",
+ *     "colors": { "primary": "#0057B8" },
+ *     "logo": { "src": "/partners/sunright-logo.png", "alt": "Sunright" },
+ *     "contact": { "phone": "+60 3-1234 5678", "email": "hello@sunright.example" },
+ *     "faq": [{ "q": "...", "a": "..." }]
+ *   }
+ *
+ * Serve partner images from the same site as the planner: same-origin assets
+ * are cached for offline use and can be drawn into the PDF proposal.
+ */
+import { TESTIMONIALS, SERVICE_STEPS, USPS, FAQS } from './content.js';
+import logoUrl from './assets/homi-logo.png';
+
+export const BRAND_CONFIG_URL = import.meta.env.VITE_BRAND_CONFIG || '';
+
+export const DEFAULT_BRAND = {
+  name: 'HomifyTech',
+  productName: 'Homi Solar',
+  // primary matches --color-brand in index.css
+  colors: { primary: '#145A0D', primaryDark: '#0F450A' },
+  // Bundled, so the widget build ships it too and the offline cache picks it up
+  logo: { src: logoUrl, alt: 'HomifyTech' },
+  contact: { phone: '', email: '', website: 'https://homifytech.com.my' },
+  // Up to two testimonials open the planner; an empty list starts at Welcome
+  testimonials: TESTIMONIALS,
+  usps: USPS,
+  faq: FAQS,
+  serviceSteps: SERVICE_STEPS
+};
+
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Helper: Hover shade for a colour that comes without one
+export const darkenColor = (color) => `color-mix(in srgb, ${color} 78%, black)`;
+
+// Helper: A config list of objects, or the default when missing or malformed
+const readList = (value, fallback, { allowEmpty = false } = {}) => {
+  if (!Array.isArray(value) || !value.every(isObject)) return fallback;
+  return value.length > 0 || allowEmpty ? value : fallback;
+};
+
+/**
+ * Lay a partner config over DEFAULT_BRAND. A logo, contact or list given in
+ * the config replaces ours outright (so none of HomifyTech's details leak
+ * into a partner's), and anything malformed keeps the default.
+ */
+export const resolveBrand = (config) => {
+  if (!isObject(config)) return DEFAULT_BRAND;
+  const text = (value, fallback) => (typeof value === 'string' && value.trim() ? value.trim() : fallback);
+
+  const colors = isObject(config.colors) ? config.colors : {};
+  const primary = HEX_COLOR.test(colors.primary) ? colors.primary : DEFAULT_BRAND.colors.primary;
+  const primaryDark = HEX_COLOR.test(colors.primaryDark)
+    ? colors.primaryDark
+    : primary === DEFAULT_BRAND.colors.primary ? DEFAULT_BRAND.colors.primaryDark : darkenColor(primary);
+
+  const name = text(config.name, DEFAULT_BRAND.name);
+  const logo = isObject(config.logo) && config.logo.src ? { alt: name, ...config.logo } : DEFAULT_BRAND.logo;
+
+  return {
+    name,
+    productName: text(config.productName, config.name ? name : DEFAULT_BRAND.productName),
+    colors: { primary, primaryDark },
+    logo,
+    contact: isObject(config.contact) ? { phone: '', email: '', website: '', ...config.contact } : DEFAULT_BRAND.contact,
+    testimonials: readList(config.testimonials, DEFAULT_BRAND.testimonials, { allowEmpty: true }),
+    usps: readList(config.usps, DEFAULT_BRAND.usps),
+    faq: readList(config.faq, DEFAULT_BRAND.faq),
+    serviceSteps: readList(config.serviceSteps, DEFAULT_BRAND.serviceSteps)
+  };
+};
+
+// The brand for this page: the config at `url` over the defaults, or the defaults if it can't be loaded
+export const loadBrand = async (url = BRAND_CONFIG_URL) => {
+  if (!url) return DEFAULT_BRAND;
+  try {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return resolveBrand(await response.json());
+  } catch (error) {
+    console.warn(`Brand config ${url} could not be loaded; using the default brand.`, error);
+    return DEFAULT_BRAND;
+  }
+};
@@ -0,0 +1,20 @@
+/**
+ * PRODUCT CATALOGUE
+ *
+ * Panels, batteries and inverters live in catalogue.json so the range and
+ * prices can be updated without touching the maths. The first entry of
+ * each list is the default selection.
+ */
+import catalogue from './catalogue.json' with { type: 'json' };
+
+export const PANELS = catalogue.panels;
+export const BATTERIES = catalogue.batteries;
+export const INVERTERS = catalogue.inverters;
+
+export const DEFAULT_PANEL_ID = PANELS[0].id;
+export const DEFAULT_BATTERY_ID = BATTERIES[0].id;
+
+const findById = (list, id) => list.find((item) => item.id === id) || list[0];
+
+export const getPanel = (id) => findById(PANELS, id);
+export const getBattery = (id) => findById(BATTERIES, id);
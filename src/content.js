@@ -0,0 +1,73 @@
+/**
+ * SALES CONTENT
+ *
+ * HomifyTech's own copy, used by DEFAULT_BRAND (brand.js): the intro
+ * testimonials, Service Process, Why Choose Us and FAQ steps. Service
+ * steps and USPs are repeated in the downloadable proposal. Icons are
+ * matched by id and USP colours by tone in the component.
+ */
+import house1 from './assets/house1.jpeg';
+import house2 from './assets/house2.jpeg';
+
+export const TESTIMONIALS = [
+  {
+    title: 'Puchong Semi-D',
+    image: house1,
+    usage: '1,230 kW',
+    panels: '18 pieces',
+    battery: 'None',
+    monthlySaving: 'RM 481',
+    monthlySavingPercent: '78%',
+    totalSaving: 'RM 173,150'
+  },
+  {
+    title: 'Rawang Semi-D',
+    image: house2,
+    usage: '1,500 kW',
+    panels: '22 pieces',
+    battery: '2 Units',
+    monthlySaving: 'RM 633',
+    monthlySavingPercent: '84%',
+    totalSaving: 'RM 227,880'
+  }
+];
+
+export const SERVICE_STEPS = [
+  { id: 'booking', title: 'Booking', desc: 'Pay a fully refundable deposit of RM1,000 to lock in your promo price and installation slot.' },
+  { id: 'proposal', title: 'Proposal', desc: 'We visit your site and prepare a final technical proposal with precise financial ROI calculations.' },
+  { id: 'payment', title: 'Finalize Payment', desc: 'Once you approve the proposal, proceed with the balance payment to trigger the equipment delivery.' },
+  { id: 'installation', title: 'Installation', desc: 'Our certified technical team completes the mounting, wiring, and testing in just 3 days.' },
+  { id: 'maintenance', title: 'Maintenance', desc: 'Enjoy peace of mind with our 30-day post-installation monitoring and lifetime support access.' }
+];
+
+export const USPS = [
+  {
+    id: 'warranty',
+    label: 'Warranty',
+    title: '10-Year Product Warranty',
+    desc: '1-to-1 Exchange. We replace with a NEW unit if anything goes wrong, giving you absolute peace of mind for a decade.',
+    tone: 'green'
+  },
+  {
+    id: 'performance',
+    label: 'Performance',
+    title: '30-Year Performance',
+    desc: 'Guaranteed efficiency and power output stability for three decades. Your investment continues to pay off long term.',
+    tone: 'slate'
+  },
+  {
+    id: 'monitoring',
+    label: 'Monitoring',
+    title: 'Clear Usage Report',
+    desc: 'Track your savings and power generation in real-time via our Homi App. See exactly what you save every day.',
+    tone: 'blue'
+  }
+];
+
+export const FAQS = [
+  { q: 'How long does installation take?', a: 'Installation is typically completed within 3 days by our certified technical team.' },
+  { q: 'What happens during rainy days?', a: 'Solar panels still generate power during cloudy days, though at reduced efficiency. If you have a battery, your stored night-time energy can act as a buffer.' },
+  { q: 'Is there a warranty for the inverter?', a: 'Yes, inverters typically come with a 5-10 year warranty depending on the brand selected.' },
+  { q: 'Do you handle the TNB application?', a: 'Yes, we handle all the paperwork including NEM application and meter change with TNB.' },
+  { q: 'What maintenance is required?', a: 'Solar panels are very low maintenance. We recommend a simple cleaning every 6 months to ensure maximum efficiency.' }
+];
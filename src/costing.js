@@ -0,0 +1,128 @@
+/**
+ * COSTING & RETURNS
+ *
+ * Turns a configuration into an upfront price and a year-by-year cash flow.
+ * Savings shrink with panel degradation and grow with tariff escalation;
+ * batteries and inverters are replaced when they reach end of life.
+ */
+export const PRICING = {
+  installedPricePerKwp: 2200, // Inverter, mounting, cabling, labour and NEM paperwork, on top of panel price
+  inverterLifeYears: 12,
+  inverterReplacementPerKw: 900,
+  deposit: 1000, // Refundable booking deposit (see Service Process)
+  tariffEscalation: 0.02, // Yearly increase in TNB rates
+  discountRate: 0.05, // For NPV
+  horizons: [25, 30]
+};
+
+export const PROMOTIONS = [
+  { id: 'early-bird', label: 'Early Bird 5% Off', type: 'percent', value: 0.05 },
+  { id: 'battery-bundle', label: 'Battery Bundle RM1,500 Off', type: 'fixed', value: 1500, requiresBattery: true }
+];
+
+// Full charge/discharge cycles a battery does per day, for its lifespan
+const BATTERY_CYCLES_PER_DAY = 1;
+
+// Helper: Output of the array in a given year relative to nameplate
+export const getDegradationFactor = (degradation, year) => {
+  return (1 - degradation.firstYear) * (1 - degradation.annual) ** (year - 1);
+};
+
+export const calculateUpfrontCost = ({ panel, panelCount, battery, batteryUnits, promoIds = [] }) => {
+  const systemKwp = (panel.wattage * panelCount) / 1000;
+  const lineItems = [
+    { label: `${panel.brand} ${panel.wattage}W panels x ${panelCount}`, amount: panel.price * panelCount },
+    { label: `Installation & inverter (${systemKwp.toFixed(1)} kWp)`, amount: systemKwp * PRICING.installedPricePerKwp }
+  ];
+  if (batteryUnits > 0) {
+    lineItems.push({ label: `${battery.brand} ${battery.model} x ${batteryUnits}`, amount: battery.price * batteryUnits });
+  }
+  const subtotal = lineItems.reduce((total, item) => total + item.amount, 0);
+
+  const discounts = PROMOTIONS
+    .filter((promo) => promoIds.includes(promo.id) && (!promo.requiresBattery || batteryUnits > 0))
+    .map((promo) => ({
+      id: promo.id,
+      label: promo.label,
+      amount: promo.type === 'percent' ? subtotal * promo.value : promo.value
+    }));
+  const total = Math.max(0, subtotal - discounts.reduce((sum, d) => sum + d.amount, 0));
+
+  return {
+    lineItems,
+    subtotal,
+    discounts,
+    total,
+    deposit: Math.min(PRICING.deposit, total),
+    balanceDue: Math.max(0, total - PRICING.deposit)
+  };
+};
+
+export const calculateNpv = (rate, cashFlows) => {
+  return cashFlows.reduce((sum, cashFlow, year) => sum + cashFlow / (1 + rate) ** year, 0);
+};
+
+// Helper: Internal rate of return by bisection; null when it never breaks even
+export const calculateIrr = (cashFlows) => {
+  let low = -0.99;
+  let high = 1;
+  if (calculateNpv(high, cashFlows) > 0) return null;
+  if (calculateNpv(low, cashFlows) < 0) return null;
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (calculateNpv(mid, cashFlows) > 0) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+};
+
+/**
+ * Year-by-year returns over `years`. annualSavings is the first-year
+ * saving at nameplate output, before degradation and escalation.
+ */
+export const calculateReturns = ({
+  upfrontCost,
+  annualSavings,
+  panel,
+  battery,
+  batteryUnits,
+  inverterKw,
+  years = PRICING.horizons[0]
+}) => {
+  const batteryLifeYears = batteryUnits > 0
+    ? Math.floor(battery.cycleLife / (365 * BATTERY_CYCLES_PER_DAY))
+    : Infinity;
+
+  let cumulative = -upfrontCost;
+  const timeline = Array.from({ length: years }, (_, index) => {
+    const year = index + 1;
+    const savings = annualSavings
+      * getDegradationFactor(panel.degradation, year)
+      * (1 + PRICING.tariffEscalation) ** (year - 1);
+
+    let replacements = 0;
+    if (year % PRICING.inverterLifeYears === 0 && year < years) {
+      replacements += inverterKw * PRICING.inverterReplacementPerKw;
+    }
+    if (year % batteryLifeYears === 0 && year < years) {
+      replacements += battery.price * batteryUnits;
+    }
+
+    const cashFlow = savings - replacements;
+    cumulative += cashFlow;
+    return { year, savings, replacements, cashFlow, cumulative };
+  });
+
+  const cashFlows = [-upfrontCost, ...timeline.map((y) => y.cashFlow)];
+  const breakEven = timeline.find((y) => y.cumulative >= 0);
+
+  return {
+    timeline,
+    simplePaybackYears: annualSavings > 0 ? upfrontCost / annualSavings : null,
+    breakEvenYear: breakEven ? breakEven.year : null,
+    totalSavings: timeline.reduce((sum, y) => sum + y.savings, 0),
+    netGain: cumulative,
+    npv: calculateNpv(PRICING.discountRate, cashFlows),
+    irr: calculateIrr(cashFlows)
+  };
+};
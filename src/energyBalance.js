@@ -0,0 +1,237 @@
+/**
+ * ENERGY BALANCE ENGINE
+ *
+ * Steps through one day in fixed intervals (15 minutes by default),
+ * matching solar generation against household load and moving the
+ * difference through the battery before it touches the grid.
+ */
+export const DEFAULT_STEPS_PER_HOUR = 4;
+export const SOLAR_WINDOW = { sunrise: 7, sunset: 19 }; // Generation hours (Malaysia, near-equatorial)
+export const DAY_HOURS = { start: 7, end: 19 }; // Window the "day" usage share covers
+
+// Relative household demand per hour (0:00-23:00); evening aircon and
+// cooking peak, quieter mid-morning while the house is empty.
+const LOAD_SHAPE = [
+  0.8, 0.7, 0.7, 0.6, 0.6, 0.7, 0.9, 1.0,
+  0.8, 0.7, 0.7, 0.8, 0.9, 0.9, 0.9, 0.9,
+  1.0, 1.1, 1.3, 1.5, 1.6, 1.5, 1.3, 1.0
+];
+
+// Warm-up days used to find the battery's steady-state morning charge
+const WARMUP_DAYS = 2;
+
+const stepMidpoints = (stepsPerHour) => {
+  const steps = 24 * stepsPerHour;
+  return Array.from({ length: steps }, (_, i) => (i + 0.5) / stepsPerHour);
+};
+
+const isDayHour = (hour) => hour >= DAY_HOURS.start && hour < DAY_HOURS.end;
+
+// Helper: Bell curve of generation between sunrise and sunset
+export const buildSolarProfile = (dailyKwh, stepsPerHour = DEFAULT_STEPS_PER_HOUR) => {
+  const { sunrise, sunset } = SOLAR_WINDOW;
+  const weights = stepMidpoints(stepsPerHour).map((hour) => (
+    hour > sunrise && hour < sunset
+      ? Math.sin(Math.PI * (hour - sunrise) / (sunset - sunrise))
+      : 0
+  ));
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  return weights.map((w) => (total > 0 ? (dailyKwh * w) / total : 0));
+};
+
+// Helper: Household load shaped by LOAD_SHAPE, scaled so the day window
+// carries exactly dayUsagePercent of the daily total
+export const buildLoadProfile = (dailyKwh, dayUsagePercent, stepsPerHour = DEFAULT_STEPS_PER_HOUR) => {
+  const hours = stepMidpoints(stepsPerHour);
+  const weights = hours.map((hour) => LOAD_SHAPE[Math.floor(hour)]);
+  let dayWeight = 0;
+  let nightWeight = 0;
+  hours.forEach((hour, i) => {
+    if (isDayHour(hour)) dayWeight += weights[i];
+    else nightWeight += weights[i];
+  });
+  const dayKwh = dailyKwh * (dayUsagePercent / 100);
+  const nightKwh = dailyKwh - dayKwh;
+  return hours.map((hour, i) => (
+    isDayHour(hour)
+      ? (dayKwh * weights[i]) / dayWeight
+      : (nightKwh * weights[i]) / nightWeight
+  ));
+};
+
+// Helper: Dispatch one day of solar and load through the battery and grid.
+// Charging losses (round-trip efficiency) are taken on the way in.
+const dispatchDay = (solar, clipped, load, battery, startSocKwh, stepsPerHour) => {
+  const { capacityKwh, powerKw, efficiency } = battery;
+  const stepPowerKwh = powerKw / stepsPerHour;
+  let soc = Math.min(capacityKwh, Math.max(0, startSocKwh));
+  const totals = {
+    solar: 0,
+    clipped: 0,
+    load: 0,
+    selfConsumed: 0,
+    charged: 0,
+    discharged: 0,
+    import: 0,
+    export: 0
+  };
+
+  const steps = solar.map((solarKwh, i) => {
+    const loadKwh = load[i];
+    const direct = Math.min(solarKwh, loadKwh);
+    let surplus = solarKwh - direct;
+    let deficit = loadKwh - direct;
+
+    const toBattery = capacityKwh > 0
+      ? Math.min(surplus, stepPowerKwh, (capacityKwh - soc) / efficiency)
+      : 0;
+    soc += toBattery * efficiency;
+    surplus -= toBattery;
+
+    const fromBattery = Math.min(deficit, soc, stepPowerKwh);
+    soc -= fromBattery;
+    deficit -= fromBattery;
+
+    totals.solar += solarKwh;
+    totals.clipped += clipped[i];
+    totals.load += loadKwh;
+    totals.selfConsumed += direct;
+    totals.charged += toBattery;
+    totals.discharged += fromBattery;
+    totals.import += deficit;
+    totals.export += surplus;
+
+    return {
+      hour: i / stepsPerHour,
+      solar: solarKwh,
+      clipped: clipped[i],
+      load: loadKwh,
+      direct,
+      toBattery,
+      fromBattery,
+      import: deficit,
+      export: surplus,
+      soc
+    };
+  });
+
+  return { steps, totals, startSocKwh, endSocKwh: soc };
+};
+
+/**
+ * Simulate one day of energy flows.
+ * When startSocKwh is omitted the battery starts at its steady-state
+ * level, i.e. whatever charge a typical previous night left behind.
+ * Generation above inverterKw in any interval is clipped and lost; the
+ * battery charges and discharges no faster than batteryPowerKw.
+ * extraLoadKwh (24 hourly kWh, e.g. scheduled appliances) is added on top
+ * of the shaped household load.
+ */
+export const simulateDay = ({
+  dailySolarKwh,
+  dailyLoadKwh,
+  dayUsagePercent,
+  extraLoadKwh = null,
+  batteryKwh = 0,
+  batteryPowerKw = Infinity,
+  batteryEfficiency = 1,
+  startSocKwh,
+  inverterKw = Infinity,
+  stepsPerHour = DEFAULT_STEPS_PER_HOUR
+}) => {
+  const stepCapKwh = inverterKw / stepsPerHour;
+  const potential = buildSolarProfile(dailySolarKwh, stepsPerHour);
+  const solar = potential.map((kwh) => Math.min(kwh, stepCapKwh));
+  const clipped = potential.map((kwh, i) => kwh - solar[i]);
+  const load = buildLoadProfile(dailyLoadKwh, dayUsagePercent, stepsPerHour).map((kwh, i) => (
+    extraLoadKwh ? kwh + extraLoadKwh[Math.floor(i / stepsPerHour)] / stepsPerHour : kwh
+  ));
+  const battery = { capacityKwh: batteryKwh, powerKw: batteryPowerKw, efficiency: batteryEfficiency };
+
+  let soc = startSocKwh;
+  if (soc === undefined) {
+    soc = 0;
+    for (let day = 0; day < WARMUP_DAYS; day++) {
+      soc = dispatchDay(solar, clipped, load, battery, soc, stepsPerHour).endSocKwh;
+    }
+  }
+
+  return dispatchDay(solar, clipped, load, battery, soc, stepsPerHour);
+};
+
+// Helper: Collapse interval steps into 24 hourly buckets
+export const toHourly = (steps) => {
+  const hourly = Array.from({ length: 24 }, (_, hour) => ({
+    hour, solar: 0, load: 0, import: 0, export: 0
+  }));
+  steps.forEach((step) => {
+    const bucket = hourly[Math.floor(step.hour)];
+    bucket.solar += step.solar;
+    bucket.load += step.load;
+    bucket.import += step.import;
+    bucket.export += step.export;
+  });
+  return hourly;
+};
+
+/**
+ * Split how one scheduled load (24 hourly kWh, part of the simulated load)
+ * was met. Each interval's solar, battery and grid supply is shared
+ * across the load in proportion to demand.
+ */
+export const attributeLoad = (steps, hourlyKwh, stepsPerHour = DEFAULT_STEPS_PER_HOUR) => {
+  const totals = { load: 0, solar: 0, battery: 0, grid: 0 };
+  steps.forEach((step) => {
+    const kwh = hourlyKwh[Math.floor(step.hour)] / stepsPerHour;
+    if (kwh <= 0 || step.load <= 0) return;
+    const share = kwh / step.load;
+    totals.load += kwh;
+    totals.solar += share * step.direct;
+    totals.battery += share * step.fromBattery;
+    totals.grid += share * step.import;
+  });
+  return totals;
+};
+
+/**
+ * Simulate consecutive days, carrying the battery's charge from one
+ * evening into the next morning. `weather` holds one { type, factor }
+ * entry per day; the factor scales that day's solar yield.
+ */
+export const simulateDays = ({
+  dailySolarKwh,
+  dailyLoadKwh,
+  dayUsagePercent,
+  extraLoadKwh = null,
+  batteryKwh = 0,
+  batteryPowerKw = Infinity,
+  batteryEfficiency = 1,
+  inverterKw = Infinity,
+  weather,
+  stepsPerHour = DEFAULT_STEPS_PER_HOUR
+}) => {
+  let soc;
+  return weather.map((conditions, index) => {
+    const result = simulateDay({
+      dailySolarKwh: dailySolarKwh * conditions.factor,
+      dailyLoadKwh,
+      dayUsagePercent,
+      extraLoadKwh,
+      batteryKwh,
+      batteryPowerKw,
+      batteryEfficiency,
+      startSocKwh: soc,
+      inverterKw,
+      stepsPerHour
+    });
+    soc = result.endSocKwh;
+    return {
+      day: index + 1,
+      weather: conditions.type,
+      ...result.totals,
+      startSocKwh: result.startSocKwh,
+      peakSocKwh: Math.max(result.startSocKwh, ...result.steps.map((s) => s.soc)),
+      endSocKwh: result.endSocKwh
+    };
+  });
+};
@@ -0,0 +1,430 @@
+/**
+ * ESTIMATE ENGINE
+ *
+ * Everything between the customer's inputs and the report, with no React:
+ * plain { audit, strategy, settings } objects in, plain results out.
+ *
+ *   describeSystem   inputs -> resolved system (catalogue items, sizing, limits)
+ *   computeFormula   system -> typical-day balance, bills, month-by-month view
+ *   simulateMonth    system + formula -> 30 simulated days with weather
+ *   calculateFinalReport, priceConfiguration, optimiseSystem build on those
+ *   estimate         all of the above in one call
+ */
+import {
+  DEFAULT_TARIFF_ID,
+  getTariffProfile,
+  isPeakHour,
+  calculateEnergyBreakdown,
+  getFixedCharge,
+  applyMinimumCharge,
+  calculateExportCredit
+} from './tariffs.js';
+import { simulateDay, simulateDays, toHourly, attributeLoad } from './energyBalance.js';
+import { generateWeather } from './weather.js';
+import { summarizeAppliances } from './appliances.js';
+import {
+  USAGE_BASES,
+  DEFAULT_USAGE_BASIS,
+  createEmptyUsage,
+  summarizeUsage,
+  getSizingKwh,
+  fillMonthlyUsage
+} from './usageHistory.js';
+import { DEFAULT_REGION_ID, MONTH_LABELS, getRegion, getMonthlyYield, getAverageYield } from './irradiance.js';
+import { getRoofDerating, getMaxPanels } from './roof.js';
+import { getHousePhase, getMaxSystemKwp, selectInverter } from './inverters.js';
+import { PANELS, DEFAULT_PANEL_ID, DEFAULT_BATTERY_ID, getPanel, getBattery } from './catalogue.js';
+import { PRICING, PROMOTIONS, calculateUpfrontCost, calculateReturns } from './costing.js';
+import { DEFAULT_FINANCING } from './financing.js';
+import { PANEL_COUNT_RANGE, MAX_BATTERY_UNITS, rankCandidates } from './optimiser.js';
+
+export const SIMULATION_DAYS = 30;
+
+export const DEFAULT_AUDIT = {
+  phone: '',
+  monthlyKwh: 900,
+  housePhase: 'Single',
+  houseType: 'semi-d',
+  roofType: 'pitched',
+  roofFacing: 'S',
+  roofTilt: 25,
+  shading: 'none',
+  appliances: [], // Load builder entries, see createAppliance
+  monthlyUsage: createEmptyUsage(), // kWh by calendar month (Jan-Dec), null where unknown
+  usageBasis: DEFAULT_USAGE_BASIS,
+  billAccount: null,
+  tariffId: DEFAULT_TARIFF_ID,
+  regionId: DEFAULT_REGION_ID
+};
+
+export const DEFAULT_STRATEGY = {
+  dayUsagePercent: 60,
+  panelId: DEFAULT_PANEL_ID,
+  panelCount: 12,
+  hasBattery: false,
+  batteryUnits: 1,
+  batteryId: DEFAULT_BATTERY_ID,
+  inverterId: null // null = auto-size
+};
+
+export const DEFAULT_REPORT_SETTINGS = {
+  promoIds: PROMOTIONS.map((promo) => promo.id),
+  returnsHorizon: PRICING.horizons[0],
+  financing: DEFAULT_FINANCING
+};
+
+// Helper: Most panels of a type the roof can take, within the planner's range
+export const getPanelLimit = (audit, panel) => Math.min(PANEL_COUNT_RANGE.max, getMaxPanels(audit, panel));
+
+// Helper: Keep a panel count inside the roof limit (and at least the minimum that fits)
+export const clampPanelCount = (audit, panel, count) => {
+  const max = getPanelLimit(audit, panel);
+  return Math.min(max, Math.max(Math.min(PANEL_COUNT_RANGE.min, max), count));
+};
+
+// Target to offset 90% of usage (sweet spot), between 3 and 15 kWp
+export const getRecommendedSystemSize = (monthlyKwh, yieldPerKw) => {
+  const dailyKwh = monthlyKwh / 30;
+  return Math.min(15, Math.max(3, Math.ceil((dailyKwh * 0.9) / yieldPerKw)));
+};
+
+/**
+ * Resolve the raw inputs into everything the estimate needs: the usage
+ * figure on the chosen basis, appliance loads, catalogue items, roof and
+ * phase limits. Missing fields fall back to the defaults.
+ */
+export const describeSystem = ({ audit: auditInput = {}, strategy: strategyInput = {} } = {}) => {
+  const audit = { ...DEFAULT_AUDIT, ...auditInput };
+  const strategy = { ...DEFAULT_STRATEGY, ...strategyInput };
+
+  const usageSummary = summarizeUsage(audit.monthlyUsage);
+  const usageBasis = USAGE_BASES.find((basis) => basis.id === audit.usageBasis) || USAGE_BASES[0];
+
+  // With a usage history the sizing figure follows the chosen basis
+  const baseMonthlyKwh = usageSummary
+    ? Math.round(getSizingKwh(usageSummary, usageBasis.id))
+    : audit.monthlyKwh;
+
+  // Appliances already in use shape the day/night split; planned ones add load on top.
+  // EVs are always placed in their own charging window (see computeFormula).
+  const currentLoad = summarizeAppliances(audit.appliances.filter((appliance) => !appliance.planned && appliance.type !== 'ev'));
+  const plannedLoad = summarizeAppliances(audit.appliances.filter((appliance) => appliance.planned));
+  const applianceDayPercent = Math.min(90, Math.max(10, Math.round(currentLoad.dayPercent / 5) * 5));
+  const adjustedMonthlyKwh = Math.round(baseMonthlyKwh + plannedLoad.monthlyKwh);
+
+  const region = getRegion(audit.regionId);
+  const averageYield = getAverageYield(region);
+  const roofDerating = getRoofDerating({
+    facing: audit.roofFacing,
+    tilt: audit.roofTilt,
+    shading: audit.shading
+  });
+  const panel = getPanel(strategy.panelId);
+  const battery = getBattery(strategy.batteryId);
+
+  const recommendedSystemSize = getRecommendedSystemSize(adjustedMonthlyKwh, averageYield * roofDerating.factor);
+  const selectedSystemSize = (panel.wattage * strategy.panelCount) / 1000;
+  const effectiveSystemSize = strategy.panelCount > 0 ? selectedSystemSize : recommendedSystemSize;
+
+  const housePhase = getHousePhase(audit.housePhase);
+  const maxSystemKwp = getMaxSystemKwp(housePhase.id);
+
+  return {
+    audit,
+    strategy,
+    usageSummary,
+    usageBasis,
+    baseMonthlyKwh,
+    currentLoad,
+    plannedLoad,
+    applianceDayPercent,
+    adjustedMonthlyKwh,
+    region,
+    averageYield,
+    roofDerating,
+    panel,
+    battery,
+    activeBatteryUnits: strategy.hasBattery ? strategy.batteryUnits : 0,
+    batteryCapacity: strategy.batteryUnits * battery.usableKwh,
+    maxPanels: getPanelLimit(audit, panel),
+    recommendedSystemSize,
+    selectedSystemSize,
+    effectiveSystemSize,
+    housePhase,
+    inverter: selectInverter(housePhase.id, effectiveSystemSize, strategy.inverterId),
+    maxSystemKwp,
+    isOverPhaseLimit: effectiveSystemSize > maxSystemKwp,
+    tariff: getTariffProfile(audit.tariffId)
+  };
+};
+
+/**
+ * The full estimate for a system. `variant` can swap in { appliances,
+ * panel, panelCount, batteryUnits, inverter } to price an alternative,
+ * e.g. the EV on another charging window or a candidate from the optimiser.
+ */
+export const computeFormula = (system, variant = {}) => {
+  const { audit, strategy, battery, tariff, region, roofDerating, usageSummary, usageBasis } = system;
+  const { dayUsagePercent } = strategy;
+  const appliances = variant.appliances || audit.appliances;
+  const selectedPanel = variant.panel || system.panel;
+  const selectedInverter = variant.inverter || system.inverter;
+
+  // Planned appliances and EVs run on their own schedules on top of the
+  // household load; an EV already in use is taken out of the bill figure.
+  const scheduledLoad = summarizeAppliances(appliances.filter((a) => a.planned || a.type === 'ev'));
+  const evLoad = summarizeAppliances(appliances.filter((a) => a.type === 'ev'));
+  const inUseEvMonthlyKwh = summarizeAppliances(appliances.filter((a) => !a.planned && a.type === 'ev')).monthlyKwh;
+  const householdMonthlyKwh = Math.max(0, system.baseMonthlyKwh - inUseEvMonthlyKwh);
+  const scheduledHourlyKwh = scheduledLoad.dailyKwh > 0 ? scheduledLoad.hourly : null;
+
+  const A = householdMonthlyKwh + scheduledLoad.monthlyKwh;
+  const B = (dayUsagePercent / 100) * householdMonthlyKwh + scheduledLoad.monthlyKwh * (scheduledLoad.dayPercent / 100);
+  const C = A - B;
+
+  const B1 = B / 30;
+  const C1 = C / 30;
+
+  const D = variant.panelCount ?? strategy.panelCount;
+  const E = selectedPanel.wattage / 1000;
+  const F = system.averageYield * roofDerating.factor;
+  const G = D * E * F;
+
+  const H = variant.batteryUnits ?? system.activeBatteryUnits;
+  const I = battery.usableKwh;
+  const J = H * I;
+
+  // Hour-by-hour balance: solar bell curve vs shaped household load,
+  // with any battery carrying surplus into the evening.
+  const day = simulateDay({
+    dailySolarKwh: G,
+    dailyLoadKwh: householdMonthlyKwh / 30,
+    dayUsagePercent,
+    extraLoadKwh: scheduledHourlyKwh,
+    batteryKwh: J,
+    batteryPowerKw: H * battery.maxDischargeKw,
+    batteryEfficiency: battery.roundTripEfficiency,
+    inverterKw: selectedInverter.ratedKw
+  });
+
+  // Bills are priced on the active tariff profile, so the post-solar
+  // import is re-tiered from zero rather than at the pre-solar rate.
+  const priceDay = (balance) => {
+    const monthlyImportKwh = balance.totals.import * 30;
+    const monthlyExportKwh = balance.totals.export * 30;
+
+    // ToU: kWh drawn inside the peak window, before and after solar
+    const sumPeak = (field) => balance.steps.reduce(
+      (total, s) => (isPeakHour(tariff, s.hour) ? total + s[field] : total), 0
+    ) * 30;
+
+    const beforeBreakdown = calculateEnergyBreakdown(tariff, balance.totals.load * 30, sumPeak('load'));
+    const afterBreakdown = calculateEnergyBreakdown(tariff, monthlyImportKwh, sumPeak('import'));
+    const fixedCharge = getFixedCharge(tariff);
+    const beforeEnergyCost = beforeBreakdown.reduce((total, row) => total + row.cost, 0);
+    const importEnergyCost = afterBreakdown.reduce((total, row) => total + row.cost, 0);
+    const importBill = importEnergyCost + fixedCharge;
+
+    const { rate, credit: exportCredit } = calculateExportCredit(
+      tariff, monthlyExportKwh, monthlyImportKwh, importEnergyCost, H > 0
+    );
+    // A minimum charge only tops a bill up; it isn't added on
+    const beforeBill = applyMinimumCharge(tariff, beforeEnergyCost + fixedCharge);
+    const monthlyTnbCost = applyMinimumCharge(tariff, importBill - exportCredit);
+
+    return {
+      K: rate,
+      monthlyImportKwh,
+      monthlyExportKwh,
+      beforeBreakdown,
+      afterBreakdown,
+      fixedCharge,
+      beforeBill,
+      beforeMinimumTopUp: beforeBill - (beforeEnergyCost + fixedCharge),
+      importBill,
+      exportCredit,
+      minimumTopUp: monthlyTnbCost - (importBill - exportCredit),
+      monthlyTnbCost
+    };
+  };
+
+  const bill = priceDay(day);
+
+  // Month-by-month view on the region's irradiance (30-day billing months).
+  // On the month-by-month basis each month also carries its own usage.
+  const monthLoads = usageSummary && usageBasis.id === 'monthly'
+    ? fillMonthlyUsage(audit.monthlyUsage, usageSummary).map((kwh) => Math.max(0, kwh - inUseEvMonthlyKwh))
+    : Array(12).fill(householdMonthlyKwh);
+  const monthly = getMonthlyYield(region).map((yieldPerKw, index) => {
+    const monthBalance = simulateDay({
+      dailySolarKwh: D * E * yieldPerKw * roofDerating.factor,
+      dailyLoadKwh: monthLoads[index] / 30,
+      dayUsagePercent,
+      extraLoadKwh: scheduledHourlyKwh,
+      batteryKwh: J,
+      batteryPowerKw: H * battery.maxDischargeKw,
+      batteryEfficiency: battery.roundTripEfficiency,
+      inverterKw: selectedInverter.ratedKw
+    });
+    const monthBill = priceDay(monthBalance);
+    return {
+      month: MONTH_LABELS[index],
+      usageKwh: monthLoads[index] + scheduledLoad.monthlyKwh,
+      generationKwh: monthBalance.totals.solar * 30,
+      clippedKwh: monthBalance.totals.clipped * 30,
+      importKwh: monthBill.monthlyImportKwh,
+      exportKwh: monthBill.monthlyExportKwh,
+      beforeBill: monthBill.beforeBill,
+      bill: monthBill.monthlyTnbCost
+    };
+  });
+
+  return {
+    A, B, C, B1, C1, D, E, F, G, H, I, J,
+    ...bill,
+    dailyTnbKwh: day.totals.import,
+    dailyTnbCost: bill.monthlyTnbCost / 30,
+    dailyExportKwh: day.totals.export,
+    dailyStoredKwh: day.totals.charged,
+    dailyClippedKwh: day.totals.clipped,
+    panel: selectedPanel,
+    battery,
+    inverter: selectedInverter,
+    dailySelfConsumedKwh: day.totals.selfConsumed + day.totals.discharged,
+    dailyProfile: toHourly(day.steps),
+    householdMonthlyKwh,
+    scheduledHourlyKwh,
+    ev: evLoad.dailyKwh > 0 ? attributeLoad(day.steps, evLoad.hourly) : null,
+    monthly
+  };
+};
+
+// Month by month: headline bills are the average over the year
+export const getHeadlineBills = (system, formula) => {
+  const isMonthlyBasis = system.usageSummary && system.usageBasis.id === 'monthly';
+  return {
+    oldBill: isMonthlyBasis
+      ? formula.monthly.reduce((total, m) => total + m.beforeBill, 0) / 12
+      : formula.beforeBill,
+    newBill: isMonthlyBasis
+      ? formula.monthly.reduce((total, m) => total + m.bill, 0) / 12
+      : formula.monthlyTnbCost
+  };
+};
+
+// The "Trap": exported kWh valued at what they would have saved if used
+export const calculateTrapLoss = (tariff, exportKwh) => {
+  const potentialValueIfUsed = exportKwh * tariff.export.avgGridRate;
+  const actualValueSold = exportKwh * tariff.export.nemExportRate;
+  return potentialValueIfUsed - actualValueSold;
+};
+
+// Simulate the whole month up front: seeded weather, battery charge
+// carried over from each evening into the next morning.
+export const simulateMonth = (system, formula, weather = generateWeather(SIMULATION_DAYS)) => simulateDays({
+  dailySolarKwh: formula.G,
+  dailyLoadKwh: formula.householdMonthlyKwh / 30,
+  dayUsagePercent: system.strategy.dayUsagePercent,
+  extraLoadKwh: formula.scheduledHourlyKwh,
+  batteryKwh: formula.J,
+  batteryPowerKw: formula.H * system.battery.maxDischargeKw,
+  batteryEfficiency: system.battery.roundTripEfficiency,
+  inverterKw: formula.inverter.ratedKw,
+  weather
+});
+
+// Month totals in the shape the simulation screen accumulates
+export const summarizeDays = (days) => days.reduce((totals, d) => ({
+  solarGenerated: totals.solarGenerated + d.solar,
+  houseConsumed: totals.houseConsumed + d.load,
+  gridExport: totals.gridExport + d.export,
+  gridImport: totals.gridImport + d.import
+}), { solarGenerated: 0, houseConsumed: 0, gridExport: 0, gridImport: 0 });
+
+export const calculateFinalReport = (system, formula, stats, days) => {
+  const { oldBill, newBill } = getHeadlineBills(system, formula);
+
+  return {
+    oldBill,
+    newBill,
+    monthlySavings: oldBill - newBill,
+    totalGenerated: stats.solarGenerated,
+    totalUsed: stats.houseConsumed - stats.gridImport, // Self consumed
+    totalExported: stats.gridExport,
+    lossAmount: calculateTrapLoss(system.tariff, stats.gridExport),
+    days
+  };
+};
+
+// Upfront price and long-term returns for a computed formula
+export const priceConfiguration = (system, formula, settings = DEFAULT_REPORT_SETTINGS) => {
+  const upfront = calculateUpfrontCost({
+    panel: formula.panel,
+    panelCount: formula.D,
+    battery: system.battery,
+    batteryUnits: formula.H,
+    promoIds: settings.promoIds
+  });
+  const annualSavings = formula.monthly.reduce((total, m) => total + (m.beforeBill - m.bill), 0);
+  const returns = calculateReturns({
+    upfrontCost: upfront.total,
+    annualSavings,
+    panel: formula.panel,
+    battery: system.battery,
+    batteryUnits: formula.H,
+    inverterKw: formula.inverter.ratedKw,
+    years: settings.returnsHorizon
+  });
+  return { upfront, annualSavings, returns };
+};
+
+// Sweep panel types, counts and battery units, best first for the objective
+export const optimiseSystem = (system, settings, objectiveId) => {
+  const { audit, housePhase, maxSystemKwp } = system;
+  const candidates = [];
+  PANELS.forEach((option) => {
+    const maxCount = getPanelLimit(audit, option);
+    for (let count = Math.min(PANEL_COUNT_RANGE.min, maxCount); count <= maxCount; count++) {
+      const systemKwp = (option.wattage * count) / 1000;
+      if (systemKwp > maxSystemKwp) break;
+      const candidateInverter = selectInverter(housePhase.id, systemKwp);
+      for (let units = 0; units <= MAX_BATTERY_UNITS; units++) {
+        const result = computeFormula(system, { panel: option, panelCount: count, batteryUnits: units, inverter: candidateInverter });
+        const { upfront, annualSavings, returns } = priceConfiguration(system, result, settings);
+        const usageKwh = result.monthly.reduce((total, m) => total + m.usageKwh, 0);
+        const importKwh = result.monthly.reduce((total, m) => total + m.importKwh, 0);
+        candidates.push({
+          panelId: option.id,
+          panelCount: count,
+          batteryUnits: units,
+          systemKwp,
+          upfrontCost: upfront.total,
+          annualSavings,
+          monthlyBill: result.monthlyTnbCost,
+          paybackYears: returns.simplePaybackYears,
+          netGain: returns.netGain,
+          selfSufficiency: usageKwh > 0 ? 1 - importKwh / usageKwh : 0
+        });
+      }
+    }
+  });
+  return rankCandidates(candidates, objectiveId);
+};
+
+/**
+ * One-shot estimate: { audit, strategy, settings } in, report out. Pass
+ * `weather` (see generateWeather) to fix the simulated month.
+ */
+export const estimate = ({ audit, strategy, settings } = {}, { weather } = {}) => {
+  const system = describeSystem({ audit, strategy });
+  const reportSettings = { ...DEFAULT_REPORT_SETTINGS, ...settings };
+  const formula = computeFormula(system);
+  const days = simulateMonth(system, formula, weather);
+  const report = calculateFinalReport(system, formula, summarizeDays(days), days);
+  return {
+    system,
+    formula,
+    report,
+    pricing: priceConfiguration(system, formula, reportSettings)
+  };
+};
@@ -0,0 +1,121 @@
+/**
+ * ESTIMATE ENGINE TESTS
+ *
+ * Run with `npm test` (node:test). Weather is fixed by seed so the
+ * simulated month is the same on every run.
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SIMULATION_DAYS, DEFAULT_REPORT_SETTINGS, describeSystem, computeFormula, estimate, optimiseSystem } from './engine.js';
+import { generateWeather } from './weather.js';
+
+const WEATHER = generateWeather(SIMULATION_DAYS, 42);
+
+// Helper: Money compared to the sen
+const assertRm = (actual, expected) => assert.ok(Math.abs(actual - expected) < 0.005, `expected RM ${expected}, got RM ${actual}`);
+
+const formulaFor = (audit, strategy) => computeFormula(describeSystem({ audit, strategy }));
+
+describe('tariff tiers', () => {
+  it('prices 300 kWh on TNB Domestic across the first two blocks', () => {
+    const { formula, report } = estimate({ audit: { monthlyKwh: 300, tariffId: 'tnb-domestic' } }, { weather: WEATHER });
+    // 200 x 0.218 + 100 x 0.334
+    assertRm(formula.beforeBill, 77);
+    assertRm(report.oldBill, 77);
+  });
+
+  it('prices 1,500 kWh on TNB Domestic up to the top block', () => {
+    const { formula } = estimate({ audit: { monthlyKwh: 1500, tariffId: 'tnb-domestic' } }, { weather: WEATHER });
+    // 200 x 0.218 + 100 x 0.334 + 300 x 0.516 + 300 x 0.546 + 600 x 0.571
+    assertRm(formula.beforeBill, 738.2);
+    assert.deepEqual(formula.beforeBreakdown.map((row) => Math.round(row.kwh)), [200, 100, 300, 300, 600]);
+  });
+
+  it('leaves a TNB Commercial bill above the minimum charge as it is', () => {
+    const { formula } = estimate({ audit: { monthlyKwh: 300, tariffId: 'tnb-commercial' } }, { weather: WEATHER });
+    // 200 x 0.435 + 100 x 0.509, well over the RM 7.20 minimum
+    assertRm(formula.beforeBill, 137.9);
+    assert.equal(formula.beforeMinimumTopUp, 0);
+  });
+
+  it('raises a TNB Commercial bill below the minimum charge to it', () => {
+    const { formula } = estimate(
+      { audit: { monthlyKwh: 300, tariffId: 'tnb-commercial' }, strategy: { panelCount: 20 } },
+      { weather: WEATHER }
+    );
+    // Export credit covers the energy charges, leaving only the RM 7.20 floor
+    assertRm(formula.monthlyTnbCost, 7.2);
+    assertRm(formula.minimumTopUp, 7.2 - (formula.importBill - formula.exportCredit));
+  });
+});
+
+describe('battery', () => {
+  const withoutBattery = formulaFor({ monthlyKwh: 900 }, { panelCount: 12, hasBattery: false });
+  const withBattery = formulaFor({ monthlyKwh: 900 }, { panelCount: 12, hasBattery: true, batteryUnits: 1 });
+
+  it('leaves the battery out unless it is switched on', () => {
+    assert.equal(withoutBattery.H, 0);
+    assert.equal(withoutBattery.dailyStoredKwh, 0);
+    assert.equal(withBattery.H, 1);
+    assert.ok(withBattery.dailyStoredKwh > 0);
+  });
+
+  it('moves surplus solar from export to the evening instead of importing', () => {
+    assert.ok(Math.abs(withoutBattery.monthlyImportKwh - 466.7) < 0.1);
+    assert.ok(Math.abs(withoutBattery.monthlyExportKwh - 326.5) < 0.1);
+    assert.ok(Math.abs(withBattery.monthlyImportKwh - 166.7) < 0.1);
+    assert.ok(Math.abs(withBattery.monthlyExportKwh - 10.7) < 0.1);
+    // Same panels, so the same solar either way
+    assert.equal(withBattery.G, withoutBattery.G);
+  });
+
+  it('credits export after the battery at the lower battery factor', () => {
+    // Marginal rate of the block the import lands in, x 0.7 without and x 0.3 with a battery
+    assertRm(withoutBattery.K, 0.516 * 0.7);
+    assertRm(withBattery.K, 0.218 * 0.3);
+    assert.ok(withBattery.monthlyTnbCost < withoutBattery.monthlyTnbCost);
+  });
+});
+
+describe('system size', () => {
+  it('quotes no solar and no savings for zero panels', () => {
+    const { formula, report, pricing } = estimate(
+      { audit: { monthlyKwh: 900 }, strategy: { panelCount: 0 } },
+      { weather: WEATHER }
+    );
+    assert.equal(formula.G, 0);
+    assert.ok(Math.abs(formula.monthlyImportKwh - 900) < 1e-6);
+    assertRm(formula.monthlyTnbCost, formula.beforeBill);
+    assert.equal(report.monthlySavings, 0);
+    assert.equal(pricing.upfront.total, 0);
+    assert.equal(pricing.returns.simplePaybackYears, null);
+  });
+
+  it('flags a system over the single-phase limit and clips it at the inverter', () => {
+    const { system, formula } = estimate(
+      { audit: { monthlyKwh: 2500, housePhase: 'Single' }, strategy: { panelCount: 40 } },
+      { weather: WEATHER }
+    );
+    assert.ok(Math.abs(system.selectedSystemSize - 24.6) < 1e-9);
+    assert.equal(system.maxSystemKwp, 6.5);
+    assert.equal(system.isOverPhaseLimit, true);
+    assert.equal(system.inverter.ratedKw, 5);
+    assert.ok(formula.dailyClippedKwh > 0);
+  });
+
+  it('allows more on three-phase', () => {
+    const system = describeSystem({ audit: { monthlyKwh: 2500, housePhase: 'Three' }, strategy: { panelCount: 20 } });
+    assert.equal(system.maxSystemKwp, 16.25);
+    assert.equal(system.isOverPhaseLimit, false);
+  });
+});
+
+describe('optimiser', () => {
+  it('gives a payback tie to the cheaper system', () => {
+    const system = describeSystem({ audit: { monthlyKwh: 1500, housePhase: 'Three' } });
+    const [best, next] = optimiseSystem(system, DEFAULT_REPORT_SETTINGS, 'payback');
+    // 6 and 7 panels pay back in the same 4.54 years, apart from float noise
+    assert.equal(best.panelCount, 6);
+    assert.ok(best.upfrontCost < next.upfrontCost);
+  });
+});
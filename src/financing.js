@@ -0,0 +1,42 @@
+/**
+ * FINANCING PLANS
+ *
+ * Compares paying for a system outright against instalments and green
+ * loans, measured against the monthly bill savings it produces.
+ */
+export const CARD_INSTALMENT_MONTHS = [6, 12, 24, 36];
+
+export const DEFAULT_FINANCING = {
+  cardMonths: 12,
+  loanRate: 0.045, // Flat annual rate, as Malaysian banks quote green loans
+  loanYears: 7
+};
+
+export const buildFinancingPlans = (settings = DEFAULT_FINANCING) => [
+  { id: 'cash', name: 'Cash', type: 'cash', months: 0, annualRate: 0 },
+  { id: 'card', name: '0% Card Instalment', type: 'instalment', months: settings.cardMonths, annualRate: 0 },
+  { id: 'loan', name: 'Green Loan', type: 'loan', months: settings.loanYears * 12, annualRate: settings.loanRate }
+];
+
+// Helper: Flat-rate monthly repayment: interest on the full principal for every
+// year of the term (principal x rate x years), spread evenly with the principal
+export const calculateMonthlyRepayment = (principal, annualRate, months) => {
+  if (months <= 0) return 0;
+  const interest = principal * annualRate * (months / 12);
+  return (principal + interest) / months;
+};
+
+export const compareFinancing = (principal, monthlySavings, plans) => {
+  return plans.map((plan) => {
+    const monthlyRepayment = calculateMonthlyRepayment(principal, plan.annualRate, plan.months);
+    const totalPaid = plan.type === 'cash' ? principal : monthlyRepayment * plan.months;
+    return {
+      ...plan,
+      upfront: plan.type === 'cash' ? principal : 0,
+      monthlyRepayment,
+      totalPaid,
+      totalInterest: totalPaid - principal,
+      netMonthly: monthlySavings - monthlyRepayment
+    };
+  });
+};
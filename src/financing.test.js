@@ -0,0 +1,22 @@
+/**
+ * FINANCING TESTS
+ *
+ * Run with `npm test` (node:test).
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateMonthlyRepayment, compareFinancing, buildFinancingPlans } from './financing.js';
+
+describe('green loan', () => {
+  it('charges flat-rate interest on the full principal', () => {
+    // RM 30,000 at 4.5% flat for 7 years: RM 9,450 interest over 84 months
+    const [, , loan] = compareFinancing(30000, 400, buildFinancingPlans({ cardMonths: 12, loanRate: 0.045, loanYears: 7 }));
+    assert.ok(Math.abs(loan.totalInterest - 9450) < 1e-6);
+    assert.ok(Math.abs(loan.monthlyRepayment - 39450 / 84) < 1e-9);
+  });
+
+  it('splits a 0% instalment evenly', () => {
+    assert.equal(calculateMonthlyRepayment(12000, 0, 12), 1000);
+    assert.equal(calculateMonthlyRepayment(12000, 0.05, 0), 0);
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * INVERTERS & SUPPLY PHASE (Malaysian Context)
+ *
+ * NEM caps how much inverter capacity a domestic connection may carry:
+ * single-phase homes top out at 5kW AC, three-phase at 12.5kW AC. Panels
+ * may be oversized against the inverter (DC/AC ratio) at the cost of some
+ * midday clipping.
+ */
+import { INVERTERS } from './catalogue.js';
+
+export const MAX_DC_AC_RATIO = 1.3;
+
+export const HOUSE_PHASES = [
+  { id: 'Single', name: 'Single-phase', maxInverterKw: 5 },
+  { id: 'Three', name: 'Three-phase', maxInverterKw: 12.5 }
+];
+
+export const getHousePhase = (id) => {
+  return HOUSE_PHASES.find((phase) => phase.id === id) || HOUSE_PHASES[0];
+};
+
+// Helper: Largest system (kWp) a phase can take with its biggest permitted inverter
+export const getMaxSystemKwp = (phaseId) => {
+  return getHousePhase(phaseId).maxInverterKw * MAX_DC_AC_RATIO;
+};
+
+export const getInvertersForPhase = (phaseId) => {
+  const { maxInverterKw } = getHousePhase(phaseId);
+  return INVERTERS.filter((inverter) => inverter.phase === phaseId && inverter.ratedKw <= maxInverterKw);
+};
+
+/**
+ * Pick the inverter for a system: the requested model if it suits the
+ * phase, otherwise the smallest one that keeps the DC/AC ratio within
+ * MAX_DC_AC_RATIO (or the largest available when none does).
+ */
+export const selectInverter = (phaseId, systemKwp, requestedId = null) => {
+  const options = getInvertersForPhase(phaseId);
+  const requested = options.find((inverter) => inverter.id === requestedId);
+  if (requested) return requested;
+  return options.find((inverter) => inverter.ratedKw * MAX_DC_AC_RATIO >= systemKwp)
+    || options[options.length - 1];
+};
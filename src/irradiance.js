@@ -0,0 +1,40 @@
+/**
+ * SOLAR IRRADIANCE (Malaysian Context)
+ *
+ * Monthly peak sun hours (kWh/m²/day) per region, Jan-Dec. The east coast
+ * and Borneo dip hard in the Nov-Jan north-east monsoon; the west coast
+ * sees milder inter-monsoon dips around Oct-Nov.
+ */
+export const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+export const PERFORMANCE_RATIO = 0.8; // Inverter, wiring, heat and soiling losses
+
+export const REGIONS = [
+  { id: 'klang-valley', name: 'Klang Valley', psh: [4.5, 4.8, 4.7, 4.5, 4.5, 4.5, 4.4, 4.4, 4.3, 4.2, 4.0, 4.1] },
+  { id: 'penang', name: 'Penang', psh: [5.0, 5.3, 5.2, 4.8, 4.5, 4.6, 4.5, 4.4, 4.2, 4.1, 4.2, 4.5] },
+  { id: 'kedah-perlis', name: 'Kedah / Perlis', psh: [5.2, 5.5, 5.4, 4.9, 4.5, 4.5, 4.4, 4.3, 4.1, 4.1, 4.3, 4.7] },
+  { id: 'perak', name: 'Perak', psh: [4.6, 4.9, 4.8, 4.6, 4.5, 4.5, 4.4, 4.4, 4.3, 4.2, 4.1, 4.2] },
+  { id: 'melaka-ns', name: 'Melaka / N. Sembilan', psh: [4.5, 4.8, 4.7, 4.5, 4.4, 4.4, 4.3, 4.3, 4.3, 4.2, 4.1, 4.1] },
+  { id: 'johor', name: 'Johor', psh: [4.2, 4.6, 4.5, 4.4, 4.3, 4.2, 4.2, 4.2, 4.2, 4.1, 3.9, 3.8] },
+  { id: 'pahang', name: 'Pahang', psh: [3.9, 4.5, 4.8, 4.9, 4.8, 4.6, 4.6, 4.6, 4.5, 4.3, 3.7, 3.4] },
+  { id: 'east-coast', name: 'Kelantan / Terengganu', psh: [3.8, 4.6, 5.0, 5.2, 5.0, 4.8, 4.8, 4.7, 4.6, 4.3, 3.6, 3.2] },
+  { id: 'sabah', name: 'Sabah', psh: [4.0, 4.4, 4.8, 5.1, 5.0, 4.8, 4.8, 4.8, 4.8, 4.6, 4.3, 4.0] },
+  { id: 'sarawak', name: 'Sarawak', psh: [3.8, 4.1, 4.3, 4.6, 4.7, 4.6, 4.7, 4.7, 4.5, 4.4, 4.1, 3.8] }
+];
+
+export const DEFAULT_REGION_ID = REGIONS[0].id;
+
+export const getRegion = (id) => {
+  return REGIONS.find((region) => region.id === id) || REGIONS[0];
+};
+
+// Helper: kWh/day each kWp produces in every month of the year
+export const getMonthlyYield = (region) => {
+  return region.psh.map((hours) => hours * PERFORMANCE_RATIO);
+};
+
+// Helper: Year-round average kWh/day per kWp
+export const getAverageYield = (region) => {
+  const yields = getMonthlyYield(region);
+  return yields.reduce((sum, y) => sum + y, 0) / yields.length;
+};
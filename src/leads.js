@@ -0,0 +1,127 @@
+/**
+ * LEAD SUBMISSION
+ *
+ * Posts a client's phone number, audit and chosen configuration to the
+ * lead endpoint (VITE_LEAD_ENDPOINT, or the dev server's mock at
+ * /api/leads; an embed can pass its own). Submissions that can't get through are queued in
+ * localStorage and retried in order once the connection is back. Every
+ * submission for a phone number carries that client's leadId, so a re-run
+ * simulation or a changed strategy updates the lead instead of adding one.
+ * A production build with no endpoint keeps every lead in the queue
+ * rather than posting it nowhere.
+ */
+export const LEAD_ENDPOINT = import.meta.env.VITE_LEAD_ENDPOINT || (import.meta.env.DEV ? '/api/leads' : '');
+export const LEAD_RETRY_MS = 60000;
+
+const QUEUE_KEY = 'homi-solar:lead-queue';
+const LEAD_IDS_KEY = 'homi-solar:lead-ids';
+
+const readJson = (key, fallback) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+const writeJson = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    // Storage unavailable: the lead stays in memory for this visit only
+  }
+};
+
+const readQueue = () => readJson(QUEUE_KEY, []);
+const writeQueue = (queue) => writeJson(QUEUE_KEY, queue);
+
+export const getQueuedLeadCount = () => readQueue().length;
+
+const createLeadId = () => (
+  typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+);
+
+// Helper: The client's leadId, made on their first submission and reused after
+const getLeadId = (phone) => {
+  const leadIds = readJson(LEAD_IDS_KEY, {});
+  if (!leadIds[phone]) {
+    leadIds[phone] = createLeadId();
+    writeJson(LEAD_IDS_KEY, leadIds);
+  }
+  return leadIds[phone];
+};
+
+// Helper: Wrap a payload with the id and timestamp every submission carries
+export const createLead = (payload) => ({
+  leadId: getLeadId(payload.phone),
+  submittedAt: new Date().toISOString(),
+  source: 'solar-planner',
+  ...payload
+});
+
+// Helper: One POST. Network errors and 5xx are worth retrying; 4xx are not.
+const postLead = async (lead, endpoint) => {
+  try {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(lead)
+    });
+    if (response.ok) return { ok: true };
+    return { ok: false, retry: response.status >= 500, message: `Server replied ${response.status}` };
+  } catch {
+    return { ok: false, retry: true, message: 'No connection' };
+  }
+};
+
+const queueLead = (lead) => {
+  writeQueue([...readQueue().filter((queued) => queued.leadId !== lead.leadId), lead]);
+};
+
+/**
+ * Send a lead now, or queue it when offline or when no endpoint is set up.
+ * Resolves to { status: 'sent' | 'queued' | 'unconfigured' | 'failed', message }.
+ */
+export const submitLead = async (lead, endpoint = LEAD_ENDPOINT) => {
+  if (!endpoint) {
+    queueLead(lead);
+    return { status: 'unconfigured', message: 'No lead endpoint is configured' };
+  }
+
+  const isOffline = typeof navigator !== 'undefined' && navigator.onLine === false;
+  const result = isOffline ? { ok: false, retry: true, message: 'No connection' } : await postLead(lead, endpoint);
+
+  if (result.ok) return { status: 'sent', message: '' };
+  if (result.retry) {
+    queueLead(lead);
+    return { status: 'queued', message: result.message };
+  }
+  return { status: 'failed', message: result.message };
+};
+
+/**
+ * Retry queued leads oldest first, stopping at the first one that still
+ * can't get through. Rejected (4xx) leads are dropped. Resolves to the
+ * ids sent and the number still waiting.
+ */
+export const flushLeadQueue = async (endpoint = LEAD_ENDPOINT) => {
+  const queue = readQueue();
+  if (!endpoint) return { sentIds: [], remaining: queue.length };
+
+  const sentIds = [];
+  let index = 0;
+  for (; index < queue.length; index++) {
+    const result = await postLead(queue[index], endpoint);
+    if (!result.ok && result.retry) break;
+    if (result.ok) sentIds.push(queue[index].leadId);
+  }
+  // Re-read: a new lead, or a newer version of one sent, may have been queued while these were in flight
+  const processed = queue.slice(0, index);
+  const remaining = readQueue().filter((lead) => !processed.some((sent) => (
+    sent.leadId === lead.leadId && sent.submittedAt === lead.submittedAt
+  )));
+  writeQueue(remaining);
+  return { sentIds, remaining: remaining.length };
+};
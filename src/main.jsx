@@ -2,9 +2,18 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { loadBrand } from './brand.js'
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <App />
-  </StrictMode>,
-)
+// Production builds cache themselves for site visits without signal (offline/serviceWorker.js)
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).catch(() => {})
+}
+
+// The brand config is loaded before the first render so a partner's page never shows the default brand
+loadBrand().then((brand) => {
+  createRoot(document.getElementById('root')).render(
+    <StrictMode>
+      <App brand={brand} />
+    </StrictMode>,
+  )
+})
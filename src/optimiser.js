@@ -0,0 +1,47 @@
+/**
+ * SYSTEM OPTIMISER
+ *
+ * Ranks candidate designs (panel type x panel count x battery units) on the
+ * objective the customer cares about. Candidates are priced by the caller;
+ * this module only decides which ones are worth showing.
+ */
+export const PANEL_COUNT_RANGE = { min: 6, max: 40 };
+export const MAX_BATTERY_UNITS = 6;
+
+export const OPTIMISE_OBJECTIVES = [
+  { id: 'payback', name: 'Fastest Payback', description: 'Shortest time to earn the system back' },
+  { id: 'savings', name: 'Most Savings', description: 'Biggest net gain over the system life, after its cost' },
+  { id: 'self-sufficiency', name: 'Self-Sufficiency', description: 'Least energy bought from TNB' }
+];
+
+export const DEFAULT_OBJECTIVE_ID = OPTIMISE_OBJECTIVES[0].id;
+
+// Scores are compared at the precision they are shown (0.01 yr, RM 1, 0.1%),
+// so float noise between near-identical designs doesn't decide a tie
+const SCORE_STEPS = { payback: 0.01, savings: 1, 'self-sufficiency': 0.001 };
+
+const roundTo = (value, step) => Math.round(value / step) * step;
+
+// Helper: Higher is better for every objective
+const scoreCandidate = (candidate, objectiveId) => {
+  if (objectiveId === 'savings') return roundTo(candidate.netGain, SCORE_STEPS.savings);
+  if (objectiveId === 'self-sufficiency') return roundTo(candidate.selfSufficiency, SCORE_STEPS['self-sufficiency']);
+  return candidate.paybackYears === null ? -Infinity : -roundTo(candidate.paybackYears, SCORE_STEPS.payback);
+};
+
+/**
+ * Best `limit` candidates for an objective. Ties (common for
+ * self-sufficiency once a system covers the house) go to the faster
+ * payback, then the cheaper system.
+ */
+export const rankCandidates = (candidates, objectiveId, limit = 3) => {
+  return candidates
+    .filter((candidate) => candidate.annualSavings > 0)
+    .map((candidate) => ({ ...candidate, score: scoreCandidate(candidate, objectiveId) }))
+    .sort((a, b) => (
+      b.score - a.score
+      || scoreCandidate(b, 'payback') - scoreCandidate(a, 'payback')
+      || a.upfrontCost - b.upfrontCost
+    ))
+    .slice(0, limit);
+};
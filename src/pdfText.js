@@ -0,0 +1,25 @@
+/**
+ * PDF TEXT EXTRACTION
+ *
+ * Reads the text layer of a PDF entirely in the browser. pdf.js is loaded
+ * on demand so it only costs bandwidth when a bill is actually uploaded.
+ */
+export const extractPdfText = async (file) => {
+  const [pdfjs, { default: workerSrc }] = await Promise.all([
+    import('pdfjs-dist'),
+    import('pdfjs-dist/build/pdf.worker.min.mjs?url')
+  ]);
+  pdfjs.GlobalWorkerOptions.workerSrc = workerSrc;
+
+  const data = new Uint8Array(await file.arrayBuffer());
+  const pdf = await pdfjs.getDocument({ data }).promise;
+
+  const pages = [];
+  for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+    const page = await pdf.getPage(pageNumber);
+    const content = await page.getTextContent();
+    pages.push(content.items.map((item) => item.str + (item.hasEOL ? '\n' : ' ')).join(''));
+  }
+  await pdf.destroy();
+  return pages.join('\n');
+};
@@ -0,0 +1,274 @@
+/**
+ * PROPOSAL PDF
+ *
+ * Lays out the report as a branded, printable A4 proposal entirely in the
+ * browser. jsPDF is loaded on demand so it only costs a download when a
+ * proposal is actually requested.
+ */
+const PAGE = { width: 210, height: 297, margin: 16 };
+const CONTENT_WIDTH = PAGE.width - PAGE.margin * 2;
+const FOOTER_SPACE = 18;
+
+const COLORS = {
+  text: '#1e293b',
+  muted: '#64748b',
+  line: '#e2e8f0',
+  panel: '#f8fafc',
+  solar: '#facc15',
+  import: '#f87171',
+  export: '#60a5fa'
+};
+
+const formatRm = (value) => `RM ${Math.round(value).toLocaleString('en-MY')}`;
+
+// Helper: Image file -> data URL for jsPDF; null when it can't be loaded
+const loadImage = async (url) => {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) return null;
+    const blob = await response.blob();
+    return await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = reject;
+      reader.readAsDataURL(blob);
+    });
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Build the proposal and return the jsPDF document. `proposal` is a plain
+ * object: { brand, client, configuration, bills, formula, monthly,
+ * investment, warranties, serviceSteps } (see buildProposal in solar.jsx).
+ */
+export const createProposalPdf = async (proposal) => {
+  const { jsPDF } = await import('jspdf');
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const logo = proposal.brand.logoUrl ? await loadImage(proposal.brand.logoUrl) : null;
+  let y = PAGE.margin;
+
+  const newPage = () => {
+    doc.addPage();
+    y = PAGE.margin;
+  };
+
+  const ensureSpace = (height) => {
+    if (y + height > PAGE.height - FOOTER_SPACE) newPage();
+  };
+
+  const heading = (text) => {
+    ensureSpace(14);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(13);
+    doc.setTextColor(proposal.brand.color);
+    doc.text(text, PAGE.margin, y + 5);
+    doc.setDrawColor(proposal.brand.color);
+    doc.setLineWidth(0.5);
+    doc.line(PAGE.margin, y + 7.5, PAGE.margin + CONTENT_WIDTH, y + 7.5);
+    y += 12;
+  };
+
+  const paragraph = (text, { size = 9, color = COLORS.muted, gap = 2 } = {}) => {
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(size);
+    doc.setTextColor(color);
+    const lines = doc.splitTextToSize(text, CONTENT_WIDTH);
+    const height = lines.length * size * 0.45;
+    ensureSpace(height);
+    doc.text(lines, PAGE.margin, y + size * 0.35);
+    y += height + gap;
+  };
+
+  // Two-column label / value rows
+  const table = (rows, { labelWidth = CONTENT_WIDTH * 0.55 } = {}) => {
+    doc.setFontSize(9);
+    rows.forEach(([label, value], index) => {
+      ensureSpace(7);
+      if (index % 2 === 0) {
+        doc.setFillColor(COLORS.panel);
+        doc.rect(PAGE.margin, y, CONTENT_WIDTH, 7, 'F');
+      }
+      doc.setFont('helvetica', 'normal');
+      doc.setTextColor(COLORS.muted);
+      doc.text(String(label), PAGE.margin + 2, y + 4.8);
+      doc.setFont('helvetica', 'bold');
+      doc.setTextColor(COLORS.text);
+      doc.text(String(value), PAGE.margin + labelWidth, y + 4.8);
+      y += 7;
+    });
+    y += 4;
+  };
+
+  // Side-by-side stat boxes
+  const statBoxes = (stats) => {
+    const gap = 4;
+    const width = (CONTENT_WIDTH - gap * (stats.length - 1)) / stats.length;
+    ensureSpace(24);
+    stats.forEach((stat, index) => {
+      const x = PAGE.margin + index * (width + gap);
+      doc.setFillColor(stat.highlight ? proposal.brand.color : COLORS.panel);
+      doc.roundedRect(x, y, width, 22, 3, 3, 'F');
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(8);
+      doc.setTextColor(stat.highlight ? '#ffffff' : COLORS.muted);
+      doc.text(stat.label.toUpperCase(), x + 4, y + 7);
+      doc.setFont('helvetica', 'bold');
+      doc.setFontSize(15);
+      doc.setTextColor(stat.highlight ? '#ffffff' : COLORS.text);
+      doc.text(stat.value, x + 4, y + 16);
+    });
+    y += 28;
+  };
+
+  const monthlyChart = (monthly) => {
+    const height = 55;
+    ensureSpace(height + 16);
+    const maxKwh = Math.max(1, ...monthly.map((m) => Math.max(m.generationKwh, m.importKwh, m.exportKwh)));
+    const slot = CONTENT_WIDTH / monthly.length;
+    const barWidth = (slot - 3) / 3;
+    const baseY = y + height;
+
+    doc.setDrawColor(COLORS.line);
+    doc.setLineWidth(0.2);
+    doc.line(PAGE.margin, baseY, PAGE.margin + CONTENT_WIDTH, baseY);
+
+    monthly.forEach((m, index) => {
+      const x = PAGE.margin + index * slot + 1.5;
+      [[m.generationKwh, COLORS.solar], [m.importKwh, COLORS.import], [m.exportKwh, COLORS.export]].forEach(([kwh, color], bar) => {
+        const barHeight = (kwh / maxKwh) * (height - 4);
+        doc.setFillColor(color);
+        doc.rect(x + bar * barWidth, baseY - barHeight, barWidth, barHeight, 'F');
+      });
+      doc.setFont('helvetica', 'bold');
+      doc.setFontSize(7);
+      doc.setTextColor(COLORS.muted);
+      doc.text(m.month, x + slot / 2 - 1.5, baseY + 4, { align: 'center' });
+      doc.setFont('helvetica', 'normal');
+      doc.setTextColor(COLORS.text);
+      doc.text(formatRm(m.bill).replace('RM ', 'RM'), x + slot / 2 - 1.5, baseY + 8, { align: 'center' });
+    });
+
+    // Legend
+    const legendY = baseY + 13;
+    [['Solar generation', COLORS.solar], ['Grid import', COLORS.import], ['Export', COLORS.export]].forEach(([label, color], index) => {
+      const x = PAGE.margin + index * 40;
+      doc.setFillColor(color);
+      doc.rect(x, legendY - 2.5, 3, 3, 'F');
+      doc.setFontSize(8);
+      doc.setTextColor(COLORS.muted);
+      doc.text(label, x + 5, legendY);
+    });
+    y = legendY + 6;
+  };
+
+  // Numbered list of title + description
+  const steps = (items) => {
+    items.forEach((item, index) => {
+      doc.setFontSize(9);
+      const lines = doc.splitTextToSize(item.desc, CONTENT_WIDTH - 12);
+      ensureSpace(8 + lines.length * 4);
+      doc.setFillColor(proposal.brand.color);
+      doc.circle(PAGE.margin + 3.5, y + 3, 3.5, 'F');
+      doc.setFont('helvetica', 'bold');
+      doc.setTextColor('#ffffff');
+      doc.text(String(index + 1), PAGE.margin + 3.5, y + 4.2, { align: 'center' });
+      doc.setTextColor(COLORS.text);
+      doc.setFontSize(10);
+      doc.text(item.title, PAGE.margin + 10, y + 4.2);
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(9);
+      doc.setTextColor(COLORS.muted);
+      doc.text(lines, PAGE.margin + 10, y + 9);
+      y += 10 + lines.length * 4;
+    });
+    y += 2;
+  };
+
+  // --- Page 1: Cover, client, configuration, bills ---
+  doc.setFillColor(proposal.brand.color);
+  doc.rect(0, 0, PAGE.width, 4, 'F');
+  y = 12;
+  if (logo) {
+    const { width, height } = doc.getImageProperties(logo);
+    doc.addImage(logo, 'PNG', PAGE.margin, y, (12 * width) / height, 12);
+  } else {
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(18);
+    doc.setTextColor(COLORS.text);
+    doc.text(proposal.brand.name, PAGE.margin, y + 9);
+  }
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  doc.setTextColor(COLORS.muted);
+  doc.text(`Proposal date: ${proposal.client.date}`, PAGE.margin + CONTENT_WIDTH, y + 5, { align: 'right' });
+  y += 22;
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(20);
+  doc.setTextColor(COLORS.text);
+  doc.text('Solar Proposal', PAGE.margin, y);
+  y += 6;
+  paragraph(`Prepared for ${proposal.client.name} by ${proposal.brand.name}.`, { size: 10 });
+  y += 4;
+
+  heading('Client Details');
+  table(proposal.client.rows);
+
+  heading('Your Configuration');
+  table(proposal.configuration);
+
+  heading('Before vs After');
+  statBoxes([
+    { label: 'Bill before', value: formatRm(proposal.bills.oldBill) },
+    { label: 'Bill after', value: formatRm(proposal.bills.newBill) },
+    { label: 'Monthly savings', value: formatRm(proposal.bills.monthlySavings), highlight: true }
+  ]);
+  paragraph(`That is about ${formatRm(proposal.bills.annualSavings)} saved in the first year (${proposal.bills.savingsPercent}% of the bill).`);
+
+  // --- Page 2: How the estimate works ---
+  newPage();
+  heading('How This Estimate Works');
+  paragraph(proposal.formula.summary);
+  table(proposal.formula.rows);
+
+  heading('Month by Month');
+  monthlyChart(proposal.monthly);
+
+  // --- Page 3: Investment, warranties, service ---
+  newPage();
+  heading('Investment & Returns');
+  table(proposal.investment);
+
+  heading('Warranties & Support');
+  steps(proposal.warranties);
+
+  heading('Our Service Process');
+  steps(proposal.serviceSteps);
+
+  paragraph('Figures are estimates based on the information provided, typical weather and current TNB tariffs. A site visit confirms the final design and price.', { size: 8 });
+
+  // Footer on every page
+  const { phone, email, website } = proposal.brand.contact || {};
+  const footer = [proposal.brand.name, phone, email, website && website.replace(/^https?:\/\//, '')].filter(Boolean).join('  |  ');
+  const pageCount = doc.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    doc.setDrawColor(COLORS.line);
+    doc.setLineWidth(0.2);
+    doc.line(PAGE.margin, PAGE.height - 12, PAGE.margin + CONTENT_WIDTH, PAGE.height - 12);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.setTextColor(COLORS.muted);
+    doc.text(footer, PAGE.margin, PAGE.height - 7);
+    doc.text(`Page ${page} of ${pageCount}`, PAGE.margin + CONTENT_WIDTH, PAGE.height - 7, { align: 'right' });
+  }
+
+  return doc;
+};
+
+export const downloadProposalPdf = async (proposal, filename) => {
+  const doc = await createProposalPdf(proposal);
+  doc.save(filename);
+};
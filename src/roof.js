@@ -0,0 +1,78 @@
+/**
+ * ROOF & SITE FACTORS
+ *
+ * Derates generation for the way panels sit on the roof and estimates how
+ * many panels physically fit. Near the equator facing matters far less than
+ * in temperate countries, and the flatter the tilt the less it matters.
+ */
+export const HOUSE_TYPES = [
+  { id: 'terrace', name: 'Terrace', roofAreaM2: 70 },
+  { id: 'semi-d', name: 'Semi-D', roofAreaM2: 130 },
+  { id: 'bungalow', name: 'Bungalow', roofAreaM2: 220 },
+  { id: 'shop-lot', name: 'Shop-lot', roofAreaM2: 150 }
+];
+
+export const ROOF_TYPES = [
+  { id: 'pitched', name: 'Pitched (Tiled)', usableShare: 0.45, defaultTilt: 25 }, // Usually one or two faces only
+  { id: 'metal-deck', name: 'Metal Deck', usableShare: 0.55, defaultTilt: 10 },
+  { id: 'flat', name: 'Flat (Concrete)', usableShare: 0.7, defaultTilt: 10 } // Tilted racks, spacing for access
+];
+
+// Share of output lost facing away from the sun's path (at a 25° tilt)
+export const ROOF_FACINGS = [
+  { id: 'N', name: 'North', loss: 0.09 },
+  { id: 'NE', name: 'North-East', loss: 0.07 },
+  { id: 'E', name: 'East', loss: 0.04 },
+  { id: 'SE', name: 'South-East', loss: 0.01 },
+  { id: 'S', name: 'South', loss: 0 },
+  { id: 'SW', name: 'South-West', loss: 0.01 },
+  { id: 'W', name: 'West', loss: 0.04 },
+  { id: 'NW', name: 'North-West', loss: 0.07 }
+];
+
+export const SHADING_LEVELS = [
+  { id: 'none', name: 'None', factor: 1 },
+  { id: 'light', name: 'Light', factor: 0.95 }, // Morning/evening only
+  { id: 'moderate', name: 'Moderate', factor: 0.85 }, // Trees or neighbouring walls part of the day
+  { id: 'heavy', name: 'Heavy', factor: 0.7 }
+];
+
+export const OPTIMAL_TILT = 10; // Degrees; steep enough to self-clean in rain
+const TILT_LOSS_PER_DEG2 = 0.00012;
+const FACING_REFERENCE_TILT = 25;
+
+const PANEL_SPACING_FACTOR = 1.1; // Gaps for clamps and walkways
+
+const findById = (list, id) => list.find((item) => item.id === id) || list[0];
+
+export const getHouseType = (id) => findById(HOUSE_TYPES, id);
+export const getRoofType = (id) => findById(ROOF_TYPES, id);
+export const getRoofFacing = (id) => findById(ROOF_FACINGS, id);
+export const getShadingLevel = (id) => findById(SHADING_LEVELS, id);
+
+/**
+ * Combined derating for a roof. Returns the individual factors alongside
+ * the product so the report can explain where the losses come from.
+ */
+export const getRoofDerating = ({ facing, tilt, shading }) => {
+  const tiltFactor = Math.max(0.6, 1 - TILT_LOSS_PER_DEG2 * Math.max(0, tilt - OPTIMAL_TILT) ** 2);
+  const facingFactor = 1 - getRoofFacing(facing).loss * Math.min(1, tilt / FACING_REFERENCE_TILT);
+  const shadingFactor = getShadingLevel(shading).factor;
+  return {
+    tiltFactor,
+    facingFactor,
+    shadingFactor,
+    factor: tiltFactor * facingFactor * shadingFactor
+  };
+};
+
+// Helper: m² of roof a single panel takes up (from its wattage and efficiency), including spacing
+export const getPanelFootprint = (panel) => {
+  return (panel.wattage / (panel.efficiency * 1000)) * PANEL_SPACING_FACTOR;
+};
+
+// Helper: How many of a given panel fit on the usable part of the roof
+export const getMaxPanels = ({ houseType, roofType }, panel) => {
+  const usableArea = getHouseType(houseType).roofAreaM2 * getRoofType(roofType).usableShare;
+  return Math.floor(usableArea / getPanelFootprint(panel));
+};
@@ -0,0 +1,40 @@
+/**
+ * SAVED SCENARIOS
+ *
+ * Named snapshots of a configuration and its headline results, so
+ * "what if I add a battery" can be answered side by side instead of by
+ * re-running the simulation.
+ */
+export const MAX_SCENARIOS = 3;
+
+// Rows on the comparison screen; `better` marks which end of the range to highlight
+export const COMPARISON_ROWS = [
+  { key: 'oldBill', label: 'Bill Before', format: 'currency' },
+  { key: 'newBill', label: 'Bill After', format: 'currency', better: 'lower' },
+  { key: 'monthlySavings', label: 'Monthly Savings', format: 'currency', better: 'higher' },
+  { key: 'annualSavings', label: 'Yearly Savings', format: 'currency', better: 'higher' },
+  { key: 'exportKwh', label: 'Exported (30 days)', format: 'kwh', better: 'lower' },
+  { key: 'lossAmount', label: 'Export Loss ("The Trap")', format: 'currency', better: 'lower' },
+  { key: 'upfrontCost', label: 'System Cost', format: 'currency', better: 'lower' },
+  { key: 'paybackYears', label: 'Payback', format: 'years', better: 'lower' }
+];
+
+export const formatComparisonValue = (value, format) => {
+  if (value === null || value === undefined) return '-';
+  if (format === 'currency') return `RM ${Math.round(value).toLocaleString()}`;
+  if (format === 'kwh') return `${Math.round(value).toLocaleString()} kWh`;
+  return `${value.toFixed(1)} yrs`;
+};
+
+// Helper: Value the row would highlight across scenarios, or null when there is nothing to pick between
+export const getBestValue = (scenarios, row) => {
+  const values = scenarios.map((scenario) => scenario.results[row.key]).filter((value) => value !== null);
+  if (!row.better || values.length < 2) return null;
+  return row.better === 'lower' ? Math.min(...values) : Math.max(...values);
+};
+
+// Helper: Default name describing the hardware, e.g. "12 x 615W + 1 Battery"
+export const describeConfig = ({ panelCount, panelWattage, batteryUnits }) => {
+  const batteryLabel = batteryUnits > 0 ? ` + ${batteryUnits} Batter${batteryUnits > 1 ? 'ies' : 'y'}` : '';
+  return `${panelCount} x ${panelWattage}W${batteryLabel}`;
+};
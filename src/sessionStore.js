@@ -0,0 +1,65 @@
+/**
+ * SESSION STORAGE
+ *
+ * Keeps audits in the browser's localStorage so a reload doesn't lose the
+ * visit in progress, and every client (keyed by phone number) can be
+ * reopened later. Storage can be full or disabled (private browsing), so
+ * every access fails quietly.
+ */
+const STORAGE_PREFIX = 'homi-solar';
+const CURRENT_KEY = `${STORAGE_PREFIX}:current`;
+const CLIENTS_KEY = `${STORAGE_PREFIX}:clients`;
+
+// Bump when the saved shape changes; older sessions are then ignored
+export const SESSION_VERSION = 1;
+
+const readJson = (key, fallback) => {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+const writeJson = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    // Quota exceeded or storage disabled: keep working without persistence
+  }
+};
+
+export const normalizePhone = (phone) => phone.replace(/\D+/g, '');
+
+const isCurrentVersion = (session) => session && session.version === SESSION_VERSION;
+
+export const loadCurrentSession = () => {
+  const session = readJson(CURRENT_KEY, null);
+  return isCurrentVersion(session) ? session : null;
+};
+
+export const saveCurrentSession = (session) => {
+  writeJson(CURRENT_KEY, { ...session, version: SESSION_VERSION });
+};
+
+// Saved clients, most recently updated first
+export const listClients = () => {
+  return Object.values(readJson(CLIENTS_KEY, {}))
+    .filter(isCurrentVersion)
+    .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+};
+
+export const saveClient = (session) => {
+  const phone = normalizePhone(session.audit.phone);
+  if (!phone) return;
+  const clients = readJson(CLIENTS_KEY, {});
+  clients[phone] = { ...session, version: SESSION_VERSION, savedAt: new Date().toISOString() };
+  writeJson(CLIENTS_KEY, clients);
+};
+
+export const deleteClient = (phone) => {
+  const clients = readJson(CLIENTS_KEY, {});
+  delete clients[normalizePhone(phone)];
+  writeJson(CLIENTS_KEY, clients);
+};
@@ -0,0 +1,133 @@
+/**
+ * SHARE LINKS
+ *
+ * Packs the inputs behind a report into the URL hash so a customer can be
+ * sent their result. The hash never reaches the server, and the phone
+ * number and bill account stay out of the link.
+ */
+import { DEFAULT_AUDIT, DEFAULT_STRATEGY, DEFAULT_REPORT_SETTINGS, clampPanelCount } from './engine.js';
+import { PANEL_COUNT_RANGE, MAX_BATTERY_UNITS } from './optimiser.js';
+import { APPLIANCE_TYPES, createAppliance } from './appliances.js';
+import { getPanel } from './catalogue.js';
+import { MAX_MONTHLY_KWH, createEmptyUsage } from './usageHistory.js';
+
+export const SHARE_PARAM = 'report';
+export const SHARE_VERSION = 1;
+
+const PRIVATE_AUDIT_FIELDS = ['phone', 'billAccount'];
+
+// Helper: UTF-8 safe base64url
+const toBase64Url = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach((byte) => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (encoded) => {
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, (char) => char.charCodeAt(0)));
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isAmount = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+// Helper: A usage history as the planner keeps it: 12 months, null where unknown
+const readUsage = (value) => (
+  Array.isArray(value) && value.length === 12 && value.every((kwh) => kwh === null || (isAmount(kwh) && kwh <= MAX_MONTHLY_KWH))
+    ? value
+    : createEmptyUsage()
+);
+
+// Helper: Known appliance types only, each rating checked against the type's default
+const readAppliances = (value) => (Array.isArray(value) ? value : [])
+  .filter((entry) => isObject(entry) && APPLIANCE_TYPES.some((type) => type.id === entry.type))
+  .map((entry, index) => {
+    const appliance = createAppliance(entry.type, index + 1);
+    Object.keys(appliance).forEach((key) => {
+      if (key !== 'key' && typeof entry[key] === typeof appliance[key] && (typeof entry[key] !== 'number' || isAmount(entry[key]))) {
+        appliance[key] = entry[key];
+      }
+    });
+    return appliance;
+  });
+
+const ARRAY_READERS = {
+  monthlyUsage: readUsage,
+  appliances: readAppliances,
+  promoIds: (value) => (Array.isArray(value) && value.every((id) => typeof id === 'string') ? value : undefined)
+};
+
+/**
+ * Lay a shared section over its defaults. Each value has to have the type
+ * of its default (numbers finite and not negative, ids strings, nested
+ * settings checked the same way); anything else keeps the default, so a
+ * hand-edited link can't hand the engine something it would throw on.
+ */
+const readSection = (values, defaults) => Object.fromEntries(Object.entries(defaults).map(([key, fallback]) => {
+  const value = values[key];
+  if (Array.isArray(fallback)) return [key, ARRAY_READERS[key]?.(value) ?? fallback];
+  if (isObject(fallback)) return [key, readSection(isObject(value) ? value : {}, fallback)];
+  if (fallback === null) return [key, typeof value === 'string' ? value : null];
+  if (typeof fallback === 'number') return [key, isAmount(value) ? value : fallback];
+  return [key, typeof value === typeof fallback ? value : fallback];
+}));
+
+// Helper: The shared inputs held to what the planner's own controls allow
+const normalizeShareState = (data) => {
+  const audit = readSection(data.a, DEFAULT_AUDIT);
+  audit.monthlyKwh = Math.min(MAX_MONTHLY_KWH, audit.monthlyKwh);
+
+  const strategy = readSection(data.s, DEFAULT_STRATEGY);
+  const panelCount = Math.min(PANEL_COUNT_RANGE.max, Math.round(strategy.panelCount));
+  strategy.panelCount = clampPanelCount(audit, getPanel(strategy.panelId), panelCount);
+  strategy.batteryUnits = Math.min(MAX_BATTERY_UNITS, Math.max(1, Math.round(strategy.batteryUnits)));
+  strategy.dayUsagePercent = Math.min(100, strategy.dayUsagePercent);
+
+  return { audit, strategy, report: readSection(isObject(data.r) ? data.r : {}, DEFAULT_REPORT_SETTINGS) };
+};
+
+/**
+ * Encode { audit, strategy, report } into the hash value. Unused entries
+ * (empty usage months, a battery that is switched off) are dropped to keep
+ * the link short.
+ */
+export const encodeShareState = ({ audit, strategy, report }) => {
+  const sharedAudit = { ...audit };
+  PRIVATE_AUDIT_FIELDS.forEach((field) => { delete sharedAudit[field]; });
+  if (sharedAudit.monthlyUsage && sharedAudit.monthlyUsage.every((kwh) => kwh === null)) {
+    delete sharedAudit.monthlyUsage;
+  }
+
+  return toBase64Url(JSON.stringify({
+    v: SHARE_VERSION,
+    a: sharedAudit,
+    s: strategy,
+    r: report
+  }));
+};
+
+// Decoded state with every field checked, or null for anything malformed or from a newer version
+export const decodeShareState = (encoded) => {
+  try {
+    const data = JSON.parse(fromBase64Url(encoded));
+    if (!isObject(data) || data.v !== SHARE_VERSION || !isObject(data.a) || !isObject(data.s)) return null;
+    return normalizeShareState(data);
+  } catch {
+    return null;
+  }
+};
+
+export const buildShareUrl = (state, baseUrl) => {
+  const url = new URL(baseUrl);
+  url.hash = `${SHARE_PARAM}=${encodeShareState(state)}`;
+  return url.toString();
+};
+
+// Shared state from a location hash such as "#report=...", or null
+export const readShareHash = (hash) => {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const encoded = params.get(SHARE_PARAM);
+  return encoded ? decodeShareState(encoded) : null;
+};
@@ -0,0 +1,70 @@
+/**
+ * SHARE LINK TESTS
+ *
+ * Run with `npm test` (node:test). Links are hand-built the way a customer
+ * might edit or truncate one.
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Buffer } from 'node:buffer';
+import { SHARE_VERSION, encodeShareState, decodeShareState } from './shareLink.js';
+import { DEFAULT_AUDIT, DEFAULT_STRATEGY, DEFAULT_REPORT_SETTINGS, describeSystem, computeFormula } from './engine.js';
+import { PANEL_COUNT_RANGE, MAX_BATTERY_UNITS } from './optimiser.js';
+
+// Helper: A link payload exactly as given, without going through encodeShareState
+const encodeRaw = (data) => Buffer.from(JSON.stringify(data)).toString('base64url');
+
+describe('share links', () => {
+  it('round-trips a report without the private fields', () => {
+    const audit = { ...DEFAULT_AUDIT, phone: '123456789', monthlyKwh: 1200, housePhase: 'Three' };
+    const strategy = { ...DEFAULT_STRATEGY, panelCount: 14, hasBattery: true, batteryUnits: 2 };
+    const shared = decodeShareState(encodeShareState({ audit, strategy, report: DEFAULT_REPORT_SETTINGS }));
+
+    assert.equal(shared.audit.phone, '');
+    assert.equal(shared.audit.monthlyKwh, 1200);
+    assert.equal(shared.audit.housePhase, 'Three');
+    assert.deepEqual(shared.strategy, strategy);
+    assert.deepEqual(shared.report, DEFAULT_REPORT_SETTINGS);
+  });
+
+  it('replaces malformed fields with the defaults so the engine can run', () => {
+    const shared = decodeShareState(encodeRaw({
+      v: SHARE_VERSION,
+      a: { appliances: null, monthlyUsage: 'lots', monthlyKwh: -5, roofTilt: 'steep', housePhase: 3 },
+      s: { panelCount: 999, batteryUnits: -2, hasBattery: 'yes', inverterId: 7 },
+      r: { promoIds: [1, 2], returnsHorizon: null, financing: { loanRate: 'low' } }
+    }));
+
+    assert.deepEqual(shared.audit.appliances, []);
+    assert.deepEqual(shared.audit.monthlyUsage, DEFAULT_AUDIT.monthlyUsage);
+    assert.equal(shared.audit.monthlyKwh, DEFAULT_AUDIT.monthlyKwh);
+    assert.equal(shared.audit.roofTilt, DEFAULT_AUDIT.roofTilt);
+    assert.equal(shared.audit.housePhase, DEFAULT_AUDIT.housePhase);
+    assert.ok(shared.strategy.panelCount <= PANEL_COUNT_RANGE.max);
+    assert.equal(shared.strategy.batteryUnits, 1);
+    assert.equal(shared.strategy.hasBattery, false);
+    assert.equal(shared.strategy.inverterId, null);
+    assert.deepEqual(shared.report, DEFAULT_REPORT_SETTINGS);
+    assert.doesNotThrow(() => computeFormula(describeSystem(shared)));
+  });
+
+  it('keeps known appliances and drops the rest', () => {
+    const shared = decodeShareState(encodeRaw({
+      v: SHARE_VERSION,
+      a: { appliances: [null, { type: 'toaster' }, { type: 'aircon', quantity: 3, powerKw: 'high' }] },
+      s: { batteryUnits: 40 }
+    }));
+
+    assert.equal(shared.audit.appliances.length, 1);
+    assert.equal(shared.audit.appliances[0].quantity, 3);
+    assert.equal(shared.audit.appliances[0].powerKw, 0.9);
+    assert.equal(shared.strategy.batteryUnits, MAX_BATTERY_UNITS);
+  });
+
+  it('returns null for a link it cannot read', () => {
+    assert.equal(decodeShareState('not-a-link'), null);
+    assert.equal(decodeShareState(encodeRaw({ v: SHARE_VERSION, a: [], s: {} })), null);
+    assert.equal(decodeShareState(encodeRaw({ v: SHARE_VERSION + 1, a: {}, s: {} })), null);
+    assert.equal(decodeShareState(encodeRaw(null)), null);
+  });
+});
@@ -1,4 +1,4 @@
-import React, { useState, useMemo, useEffect } from 'react';
+import React, { useState, useEffect } from 'react';
 import { 
   Sun, 
   Battery, 
@@ -13,9 +13,26 @@ import {
   LayoutDashboard,
   Waves,
   Fish,
+  AirVent,
+  ShowerHead,
+  Refrigerator,
+  Lightbulb,
+  WashingMachine,
+  Trash2,
+  Sparkles,
+  BookmarkPlus,
+  Columns3,
+  Users,
+  UserPlus,
+  Copy,
+  FolderOpen,
+  Upload,
+  ClipboardPaste,
+  Loader2,
   PiggyBank,
   Moon,
   Cloud,
+  CloudRain,
   ShieldCheck,
   Smartphone,
   FileText,
@@ -27,86 +44,274 @@ import {
   HelpCircle,
   Check,
   X,
-  ArrowRightCircle
+  ArrowRightCircle,
+  Download,
+  Link2,
+  PencilLine
 } from 'lucide-react';
 
+import { TARIFF_PROFILES } from './tariffs.js';
+import { WEATHER_TYPES } from './weather.js';
+import {
+  APPLIANCE_TYPES,
+  EV_CHARGING_WINDOWS,
+  createAppliance,
+  getApplianceDailyKwh,
+  getEvCharging
+} from './appliances.js';
+import {
+  USAGE_BASES,
+  MAX_MONTHLY_KWH,
+  createEmptyUsage,
+  historyToMonthlyUsage,
+  parseUsageCsv
+} from './usageHistory.js';
+import { REGIONS, MONTH_LABELS } from './irradiance.js';
+import {
+  HOUSE_TYPES,
+  ROOF_TYPES,
+  ROOF_FACINGS,
+  SHADING_LEVELS,
+  getHouseType,
+  getRoofType
+} from './roof.js';
+import {
+  HOUSE_PHASES,
+  getInvertersForPhase,
+  selectInverter
+} from './inverters.js';
+import {
+  PANELS,
+  BATTERIES,
+  getPanel
+} from './catalogue.js';
+import { PRICING, PROMOTIONS } from './costing.js';
+import {
+  CARD_INSTALMENT_MONTHS,
+  buildFinancingPlans,
+  compareFinancing
+} from './financing.js';
+import {
+  PANEL_COUNT_RANGE,
+  MAX_BATTERY_UNITS,
+  OPTIMISE_OBJECTIVES,
+  DEFAULT_OBJECTIVE_ID
+} from './optimiser.js';
+import {
+  MAX_SCENARIOS,
+  COMPARISON_ROWS,
+  formatComparisonValue,
+  getBestValue,
+  describeConfig
+} from './scenarios.js';
+import {
+  normalizePhone,
+  loadCurrentSession,
+  saveCurrentSession,
+  listClients,
+  saveClient,
+  deleteClient
+} from './sessionStore.js';
+import {
+  LEAD_ENDPOINT,
+  LEAD_RETRY_MS,
+  createLead,
+  submitLead,
+  flushLeadQueue,
+  getQueuedLeadCount
+} from './leads.js';
+import { DEFAULT_BRAND, darkenColor } from './brand.js';
+import { parseTnbBill } from './billParser.js';
+import { extractPdfText } from './pdfText.js';
+import {
+  SIMULATION_DAYS,
+  DEFAULT_AUDIT,
+  DEFAULT_STRATEGY,
+  DEFAULT_REPORT_SETTINGS,
+  clampPanelCount,
+  describeSystem,
+  computeFormula,
+  getHeadlineBills,
+  calculateTrapLoss,
+  simulateMonth,
+  summarizeDays,
+  calculateFinalReport,
+  priceConfiguration,
+  optimiseSystem
+} from './engine.js';
+import { downloadProposalPdf } from './proposalPdf.js';
+import { buildShareUrl, readShareHash } from './shareLink.js';
+
 /**
  * CONSTANTS & CALCULATIONS (Malaysian Context)
  */
-const TARIFF_TIERS = [
-  { limit: 200, rate: 0.218 },
-  { limit: 100, rate: 0.334 }, // 201-300
-  { limit: 300, rate: 0.516 }, // 301-600
-  { limit: 300, rate: 0.546 }, // 601-900
-  { limit: Infinity, rate: 0.571 } // >900
-];
-
-const NEM_EXPORT_RATE = 0.24; // Approx avg selling price (simplified)
-const AVG_GRID_RATE = 0.45; // Blended avg buying price for estimation
-const SOLAR_YIELD_PER_KW = 3.5; // kWh/day per kWp
-const TNB_RATE_PER_KWH = 0.5; // Fixed rate per kWh for TNB
-const EXPORT_RATE_FACTOR = 0.7; // Export credit as % of TNB rate (no battery)
-const BATTERY_EXPORT_FACTOR = 0.3; // Export credit as % of TNB rate (excess after battery)
-const BATTERY_UNIT_KWH = 10; // Each battery module is 10kWh
-
-// Helper: Calculate Bill from kWh
-const calculateKwhToBill = (kwh) => {
-  let remaining = kwh;
-  let totalBill = 0;
-  for (const tier of TARIFF_TIERS) {
-    const amountInTier = Math.min(remaining, tier.limit);
-    if (amountInTier > 0) {
-        totalBill += amountInTier * tier.rate;
-        remaining -= amountInTier;
-    }
-    if (remaining <= 0) break;
+
+// Saved sessions reopen no later than Strategy; the simulation is re-run from there
+const MAX_RESTORED_STEP = 4;
+
+const APPLIANCE_ICONS = {
+  aircon: AirVent,
+  'water-heater': ShowerHead,
+  fridge: Refrigerator,
+  lighting: Lightbulb,
+  washer: WashingMachine,
+  'pool-pump': Waves,
+  'pond-pump': Fish,
+  ev: Car
+};
+
+const SERVICE_STEP_ICONS = {
+  booking: CreditCard,
+  proposal: FileText,
+  payment: CheckCircle2,
+  installation: Hammer,
+  maintenance: Clock
+};
+
+const USP_ICONS = {
+  warranty: ShieldCheck,
+  performance: Zap,
+  monitoring: Smartphone
+};
+
+// USP colour schemes by tone; a partner's USPs pick one of these
+const USP_TONES = {
+  green: { color: 'bg-green-600', lightColor: 'bg-green-50', borderColor: 'border-green-200' },
+  slate: { color: 'bg-slate-800', lightColor: 'bg-slate-50', borderColor: 'border-slate-200' },
+  blue: { color: 'bg-blue-600', lightColor: 'bg-blue-50', borderColor: 'border-blue-200' },
+  brand: { color: 'bg-brand', lightColor: 'bg-brand/5', borderColor: 'border-brand/20' }
+};
+
+// Brand logo, or the brand name set in text when the image can't be loaded
+const BrandLogo = ({ brand, className }) => {
+  const [failedSrc, setFailedSrc] = useState(null);
+
+  if (failedSrc === brand.logo.src) {
+    return <span className="text-xl font-bold text-slate-800">{brand.name}</span>;
   }
-  return totalBill; 
+  return <img src={brand.logo.src} alt={brand.logo.alt} className={className} onError={() => setFailedSrc(brand.logo.src)} />;
 };
 
-export default function SolarSimulator() {
+/**
+ * The planner. Full-page in App.jsx; the embeddable widget (widget.jsx)
+ * passes its attributes through the optional props:
+ *   brand              white-label config (brand.js), loaded before mounting
+ *   initialStep        step to open on when no session is being resumed
+ *   defaultMonthlyKwh  starting usage for a new audit
+ *   brandColor         hex colour replacing the brand's own
+ *   leadEndpoint       where leads are posted instead of VITE_LEAD_ENDPOINT
+ *   onReport           called with a summary each time a report is produced
+ */
+export default function SolarSimulator({
+    brand = DEFAULT_BRAND,
+    initialStep = 0,
+    defaultMonthlyKwh,
+    brandColor,
+    leadEndpoint = LEAD_ENDPOINT,
+    onReport
+} = {}) {
     // Steps:
     // 0: Testimonial 1, 1: Testimonial 2, 2: Welcome, 3: Audit, 4: Strategy, 5: Simulation, 6: Report
-    // 7: Service Process, 8: USP, 9: FAQ
-    const [step, setStep] = useState(0); 
+    // 7: Service Process, 8: USP, 9: FAQ, 10: Scenario Comparison, 11: Saved Clients
+    // A brand with fewer testimonials skips the unused intro steps
+    const introStep = 2 - Math.min(2, brand.testimonials.length);
+    const brandColors = brandColor ? { primary: brandColor, primaryDark: darkenColor(brandColor) } : brand.colors;
+    // A shared report link opens that configuration read-only, ahead of anything saved on this device.
+    // It skips the animation: the finished month is worked out once, up front.
+    const [sharedSession] = useState(() => {
+        const shared = readShareHash(window.location.hash);
+        if (!shared) return null;
+        const session = {
+            step: 6,
+            audit: {...DEFAULT_AUDIT, ...shared.audit},
+            strategy: {...DEFAULT_STRATEGY, ...shared.strategy},
+            report: {...DEFAULT_REPORT_SETTINGS, ...shared.report},
+            scenarios: []
+        };
+        const sharedSystem = describeSystem(session);
+        const formula = computeFormula(sharedSystem);
+        const days = simulateMonth(sharedSystem, formula);
+        const totals = summarizeDays(days);
+        return {
+            ...session,
+            result: {
+                days,
+                stats: { ...totals, tankLevel: 0, weather: days[days.length - 1].weather },
+                report: calculateFinalReport(sharedSystem, formula, totals, days)
+            }
+        };
+    });
+    const [restoredSession] = useState(() => {
+        if (sharedSession) return sharedSession;
+        const session = loadCurrentSession();
+        return session && session.step >= 3 ? session : null;
+    });
+    const [step, setStep] = useState(sharedSession ? 6 : restoredSession ? Math.min(restoredSession.step, MAX_RESTORED_STEP) : Math.max(introStep, initialStep));
+    const [isSharedView, setIsSharedView] = useState(Boolean(sharedSession));
     const [activeServiceStep, setActiveServiceStep] = useState(0);
     const [activeUSPIndex, setActiveUSPIndex] = useState(0); 
     const [showBatteryInfo, setShowBatteryInfo] = useState(false); 
     const [batterySimState, setBatterySimState] = useState('day'); // 'day' | 'night'
   
   // Phase 1: Audit State
-  const [audit, setAudit] = useState({
-    phone: '',
-    monthlyKwh: 900,
-    housePhase: 'Single',
-    roofType: 'Pitched',
-    futureEV: false,
-    futurePool: false,
-    futurePond: false
-  });
+  const newAudit = defaultMonthlyKwh ? {...DEFAULT_AUDIT, monthlyKwh: defaultMonthlyKwh} : DEFAULT_AUDIT;
+  const [audit, setAudit] = useState(restoredSession ? restoredSession.audit : newAudit);
 
-  const [monthlyKwhInput, setMonthlyKwhInput] = useState('900');
+  const [monthlyKwhInput, setMonthlyKwhInput] = useState(String(restoredSession ? restoredSession.audit.monthlyKwh : newAudit.monthlyKwh));
+  const [billImport, setBillImport] = useState({ status: 'idle', message: '' }); // 'idle' | 'parsing' | 'success' | 'error'
+  const [billText, setBillText] = useState('');
+  const [showBillPaste, setShowBillPaste] = useState(false);
+  const [usageCsv, setUsageCsv] = useState('');
+  const [showUsageCsv, setShowUsageCsv] = useState(false);
+  const [usageCsvError, setUsageCsvError] = useState(false);
 
   // Phase 2: Strategy State
-    const [dayUsagePercent, setDayUsagePercent] = useState(60);
-    const [panelWattage, setPanelWattage] = useState(615);
-    const [panelCount, setPanelCount] = useState(12);
-    const [panelCountInput, setPanelCountInput] = useState('12');
-    const [hasBattery, setHasBattery] = useState(false);
-    const [batteryUnits, setBatteryUnits] = useState(1);
+    const initialStrategy = restoredSession ? restoredSession.strategy : DEFAULT_STRATEGY;
+    const [dayUsagePercent, setDayUsagePercent] = useState(initialStrategy.dayUsagePercent);
+    const [panelId, setPanelId] = useState(initialStrategy.panelId);
+    const [panelCount, setPanelCount] = useState(initialStrategy.panelCount);
+    const [panelCountInput, setPanelCountInput] = useState(String(initialStrategy.panelCount));
+    const [hasBattery, setHasBattery] = useState(initialStrategy.hasBattery);
+    const [batteryUnits, setBatteryUnits] = useState(initialStrategy.batteryUnits);
+    const [batteryId, setBatteryId] = useState(initialStrategy.batteryId);
+    const [inverterId, setInverterId] = useState(initialStrategy.inverterId); // null = auto-size
+    const [optimiseObjective, setOptimiseObjective] = useState(DEFAULT_OBJECTIVE_ID);
+    const [optimiseResults, setOptimiseResults] = useState(null);
 
   // Phase 3: Simulation State
   const [simProgress, setSimProgress] = useState(0);
-  const [simStats, setSimStats] = useState({
+  const [simStats, setSimStats] = useState(sharedSession ? sharedSession.result.stats : {
     tankLevel: 0,
     gridExport: 0,
     gridImport: 0,
     solarGenerated: 0,
     houseConsumed: 0
   });
+  const [simDays, setSimDays] = useState(sharedSession ? sharedSession.result.days : []);
 
     // Phase 4: Report State
-    const [finalReport, setFinalReport] = useState(null);
+    const [finalReport, setFinalReport] = useState(sharedSession ? sharedSession.result.report : null);
+    const [scenarios, setScenarios] = useState(restoredSession ? restoredSession.scenarios : []);
+    const [scenarioName, setScenarioName] = useState('');
+    const [returnStep, setReturnStep] = useState(4); // Where Back leads from the comparison and client screens
+    const initialReportSettings = restoredSession ? restoredSession.report : DEFAULT_REPORT_SETTINGS;
+    const [promoIds, setPromoIds] = useState(initialReportSettings.promoIds);
+    const [returnsHorizon, setReturnsHorizon] = useState(initialReportSettings.returnsHorizon);
+    const [financing, setFinancing] = useState(initialReportSettings.financing);
+
+    // Lead Submission State
+    const [leadStatus, setLeadStatus] = useState({ status: 'idle', message: '', leadId: null }); // 'idle' | 'sending' | 'sent' | 'queued' | 'unconfigured' | 'failed'
+    const [queuedLeads, setQueuedLeads] = useState(getQueuedLeadCount);
+
+    // Share Link State
+    const [shareStatus, setShareStatus] = useState({ status: 'idle', url: '' }); // 'idle' | 'copied' | 'manual'
+
+    // Proposal Download State
+    const [proposalStatus, setProposalStatus] = useState({ status: 'idle', message: '' }); // 'idle' | 'building' | 'failed'
+
+    // Saved Clients State
+    const [clients, setClients] = useState([]);
+    const [pendingDelete, setPendingDelete] = useState(null); // Phone of the client awaiting delete confirmation
 
     // FAQ State
     const [openFaqIndex, setOpenFaqIndex] = useState(null);
@@ -124,212 +329,704 @@ export default function SolarSimulator() {
         return () => clearInterval(interval);
     }, [showBatteryInfo]);
 
-  // --- Derived Calculations ---
-    const adjustedMonthlyKwh = useMemo(() => {
-        let multiplier = 1;
-        if (audit.futureEV) multiplier += 0.3;
-        if (audit.futurePool) multiplier += 0.2;
-        if (audit.futurePond) multiplier += 0.15;
-        return Math.round(audit.monthlyKwh * multiplier);
-    }, [audit.futureEV, audit.futurePool, audit.futurePond, audit.monthlyKwh]);
-
-    const currentKwhUsage = useMemo(() => adjustedMonthlyKwh, [adjustedMonthlyKwh]);
-  
-  const recommendedSystemSize = useMemo(() => {
-    // Target to offset 90% of usage (sweet spot)
-    const dailyKwh = currentKwhUsage / 30;
-    return Math.min(15, Math.max(3, Math.ceil((dailyKwh * 0.9) / SOLAR_YIELD_PER_KW)));
-  }, [currentKwhUsage]);
-
-    const selectedSystemSize = (panelWattage * panelCount) / 1000;
-    const effectiveSystemSize = panelCount > 0 ? selectedSystemSize : recommendedSystemSize;
+    // Persist the visit on every change: the in-progress session for reloads,
+    // and the client record once a phone number has been entered. A shared
+    // report is someone else's visit, so it is never written over this device's.
+    const sessionJson = JSON.stringify({
+        step,
+        audit,
+        strategy: { dayUsagePercent, panelId, panelCount, hasBattery, batteryUnits, batteryId, inverterId },
+        report: { promoIds, returnsHorizon, financing },
+        scenarios
+    });
+    useEffect(() => {
+        if (isSharedView) return;
+        const session = JSON.parse(sessionJson);
+        saveCurrentSession(session);
+        if (session.step >= 3 && /^\d{9,12}$/.test(normalizePhone(session.audit.phone))) {
+            saveClient(session);
+        }
+    }, [sessionJson, isSharedView]);
 
-    const batteryCapacity = batteryUnits * BATTERY_UNIT_KWH;
+    // Retry queued leads on start-up, when the browser comes back online and periodically
+    useEffect(() => {
+        const retryQueue = () => {
+            flushLeadQueue(leadEndpoint).then(({ sentIds, remaining }) => {
+                setQueuedLeads(remaining);
+                setLeadStatus(prev => (
+                    prev.status === 'queued' && sentIds.includes(prev.leadId)
+                        ? { ...prev, status: 'sent', message: '' }
+                        : prev
+                ));
+            });
+        };
+        retryQueue();
+        window.addEventListener('online', retryQueue);
+        const interval = setInterval(retryQueue, LEAD_RETRY_MS);
+        return () => {
+            window.removeEventListener('online', retryQueue);
+            clearInterval(interval);
+        };
+    }, [leadEndpoint]);
 
-    const phoneDigits = audit.phone.replace(/\D+/g, '');
+  // --- Derived Calculations ---
+    // Everything numeric comes from the engine (engine.js); the component only holds the inputs
+    const strategy = { dayUsagePercent, panelId, panelCount, hasBattery, batteryUnits, batteryId, inverterId };
+    const reportSettings = { promoIds, returnsHorizon, financing };
+    const system = describeSystem({ audit, strategy });
+    const {
+        usageSummary,
+        usageBasis,
+        baseMonthlyKwh,
+        currentLoad,
+        plannedLoad,
+        applianceDayPercent,
+        adjustedMonthlyKwh,
+        region,
+        averageYield,
+        roofDerating,
+        panel,
+        battery,
+        batteryCapacity,
+        maxPanels,
+        recommendedSystemSize,
+        selectedSystemSize,
+        effectiveSystemSize,
+        housePhase,
+        inverter,
+        maxSystemKwp,
+        isOverPhaseLimit,
+        tariff
+    } = system;
+    const panelWattage = panel.wattage;
+    const evAppliances = audit.appliances.filter((appliance) => appliance.type === 'ev');
+
+    const phoneDigits = normalizePhone(audit.phone);
     const isPhoneValid = /^\d{9,12}$/.test(phoneDigits);
 
   // --- Handlers ---
 
-    const computeFormula = () => {
-        const A = currentKwhUsage;
-        const B = (dayUsagePercent / 100) * A;
-        const C = A - B;
-
-        const B1 = B / 30;
-        const C1 = C / 30;
-
-        const D = panelCount;
-        const E = panelWattage / 1000;
-        const F = SOLAR_YIELD_PER_KW;
-        const G = D * E * F;
-
-        const H = hasBattery ? batteryUnits : 0;
-        const I = BATTERY_UNIT_KWH;
-        const J = H * I;
-        const K = TNB_RATE_PER_KWH;
-
-        let dailyTnbKwh = 0;
-        let dailyExportKwh = 0;
-        let dailyStoredKwh = 0;
-
-        if (B1 > G) {
-            dailyTnbKwh = (B1 - G) + C1;
-        } else {
-            const excess = G - B1;
-            if (H === 0) {
-                dailyExportKwh = excess;
-                const credit = excess * K * EXPORT_RATE_FACTOR;
-                const cost = Math.max(0, (C1 * K) - credit);
-                dailyTnbKwh = cost / K;
-            } else {
-                dailyStoredKwh = Math.min(excess, J);
-                const remainingExcess = Math.max(0, excess - J);
-                if (remainingExcess > 0) {
-                    dailyExportKwh = remainingExcess;
-                }
-                const cost = Math.max(0, (Math.max(0, C1 - dailyStoredKwh) * K) - (dailyExportKwh * K * BATTERY_EXPORT_FACTOR));
-                dailyTnbKwh = cost / K;
+    // Prefill the audit from a parsed bill, or fall back to manual entry
+    const applyParsedBill = (parsed) => {
+        if (!parsed) {
+            setBillImport({ status: 'error', message: "We couldn't find usage figures on this bill. Please enter the monthly usage manually." });
+            return;
+        }
+        const average = parsed.history.reduce((total, entry) => total + entry.kwh, 0) / parsed.history.length;
+        const normalizedValue = Math.min(3000, Math.max(200, Math.round(average)));
+        setAudit(prev => ({
+            ...prev,
+            monthlyKwh: normalizedValue,
+            monthlyUsage: historyToMonthlyUsage(parsed.history),
+            billAccount: {
+                accountNumber: parsed.accountNumber,
+                accountName: parsed.accountName,
+                billDate: parsed.billDate
             }
+        }));
+        setMonthlyKwhInput(String(normalizedValue));
+        setBillImport({
+            status: 'success',
+            message: `Found ${parsed.history.length} month${parsed.history.length > 1 ? 's' : ''} of usage${parsed.accountNumber ? ` for account ${parsed.accountNumber}` : ''}.`
+        });
+        setShowBillPaste(false);
+    };
+
+    const handleBillFile = async (file) => {
+        if (!file) return;
+        setBillImport({ status: 'parsing', message: 'Reading bill...' });
+        try {
+            const isPdf = file.type === 'application/pdf' || /\.pdf$/i.test(file.name);
+            const text = isPdf ? await extractPdfText(file) : await file.text();
+            applyParsedBill(parseTnbBill(text));
+        } catch {
+            setBillImport({ status: 'error', message: "This file couldn't be opened. Try pasting the bill text or enter the usage manually." });
         }
+    };
+
+    const applyUsageCsv = () => {
+        const usage = parseUsageCsv(usageCsv);
+        setUsageCsvError(!usage);
+        if (!usage) return;
+        setAudit({...audit, monthlyUsage: usage});
+        setShowUsageCsv(false);
+    };
 
-        const dailyTnbCost = dailyTnbKwh * K;
-        const monthlyTnbCost = dailyTnbCost * 30;
+    const updateMonthUsage = (monthIndex, rawValue) => {
+        const parsedValue = Number(rawValue);
+        const kwh = rawValue === '' || Number.isNaN(parsedValue)
+            ? null
+            : Math.min(MAX_MONTHLY_KWH, Math.max(0, parsedValue));
+        setAudit({...audit, monthlyUsage: audit.monthlyUsage.map((value, index) => (index === monthIndex ? kwh : value))});
+    };
 
-        return {
-            A, B, C, B1, C1, D, E, F, G, H, I, J, K,
-            dailyTnbKwh,
-            dailyTnbCost,
-            dailyExportKwh,
-            dailyStoredKwh,
-            monthlyTnbCost
-        };
+    const addAppliance = (typeId) => {
+        const key = audit.appliances.reduce((max, appliance) => Math.max(max, appliance.key), 0) + 1;
+        setAudit({...audit, appliances: [...audit.appliances, createAppliance(typeId, key)]});
     };
 
-    const runSimulation = () => {
-    setStep(5); // Adjusted step index
-    setSimProgress(0);
-    
-    // Reset stats
-    let currentStats = {
-      tankLevel: 0,
-      gridExport: 0,
-      gridImport: 0,
-      solarGenerated: 0,
-      houseConsumed: 0,
-      wastedMoney: 0
+    const updateAppliance = (key, changes) => {
+        setAudit({
+            ...audit,
+            appliances: audit.appliances.map((appliance) => (appliance.key === key ? {...appliance, ...changes} : appliance))
+        });
     };
 
-    let day = 0;
-    const totalDays = 30;
-    const animationSpeed = 70; // ms per tick
-
-    const interval = setInterval(() => {
-      day += 0.5; // Half day increments for faster anim
-      const progress = (day / totalDays) * 100;
-      setSimProgress(progress);
-
-            const formula = computeFormula();
-            const dailySolar = formula.G;
-            const dailyConsumption = formula.A / 30;
-            const imported = formula.dailyTnbKwh;
-            const exported = formula.dailyExportKwh;
-
-      // Accumulate
-      currentStats.solarGenerated += dailySolar / 2; // /2 because we run 2 ticks per day in loop
-            currentStats.houseConsumed += dailyConsumption / 2;
-      currentStats.gridExport += exported / 2;
-      currentStats.gridImport += imported / 2;
-            currentStats.tankLevel = hasBattery && batteryCapacity > 0
-                ? (formula.dailyStoredKwh / batteryCapacity) * 100
-                : 0;
-      
-      setSimStats({...currentStats});
+    // Move every EV to one charging window
+    const setEvWindow = ({ startHour, endHour }) => {
+        setAudit({
+            ...audit,
+            appliances: audit.appliances.map((appliance) => (appliance.type === 'ev' ? {...appliance, startHour, endHour} : appliance))
+        });
+    };
+
+    const removeAppliance = (key) => {
+        setAudit({...audit, appliances: audit.appliances.filter((appliance) => appliance.key !== key)});
+    };
+
+    // Keep the panel count within what the roof can physically take
+    const applyPanelCount = (count, selectedPanel = panel) => {
+        const normalizedValue = clampPanelCount(audit, selectedPanel, count);
+        setPanelCount(normalizedValue);
+        setPanelCountInput(String(normalizedValue));
+    };
+
+
+    // Sweep panel types, counts and battery units for the chosen objective
+    const runOptimiser = (objectiveId) => {
+        setOptimiseObjective(objectiveId);
+        setOptimiseResults(optimiseSystem(system, reportSettings, objectiveId));
+    };
+
+    const applyCandidate = (candidate) => {
+        const option = getPanel(candidate.panelId);
+        setPanelId(option.id);
+        applyPanelCount(candidate.panelCount, option);
+        setHasBattery(candidate.batteryUnits > 0);
+        if (candidate.batteryUnits > 0) setBatteryUnits(candidate.batteryUnits);
+        setInverterId(null);
+    };
 
-                if (day >= totalDays) {
-        clearInterval(interval);
-        calculateFinalReport(currentStats);
+
+    const saveScenario = () => {
+        if (scenarios.length >= MAX_SCENARIOS) return;
+        const formula = computeFormula(system);
+        const { oldBill, newBill } = getHeadlineBills(system, formula);
+        const exportKwh = simulateMonth(system, formula).reduce((total, d) => total + d.export, 0);
+        const { upfront, annualSavings, returns } = priceConfiguration(system, formula, reportSettings);
+        const id = scenarios.reduce((max, scenario) => Math.max(max, scenario.id), 0) + 1;
+
+        setScenarios([...scenarios, {
+            id,
+            name: scenarioName.trim() || describeConfig({ panelCount, panelWattage, batteryUnits: formula.H }),
+            config: { panelId, panelCount, hasBattery, batteryUnits, batteryId, inverterId, dayUsagePercent },
+            summary: {
+                systemKwp: selectedSystemSize,
+                panelLabel: `${panelCount} x ${panel.brand} ${panelWattage}W`,
+                batteryLabel: formula.H > 0 ? `${formula.H} x ${battery.brand} ${battery.model}` : 'No battery'
+            },
+            results: {
+                oldBill,
+                newBill,
+                monthlySavings: oldBill - newBill,
+                annualSavings,
+                exportKwh,
+                lossAmount: calculateTrapLoss(tariff, exportKwh),
+                upfrontCost: upfront.total,
+                paybackYears: returns.simplePaybackYears
+            }
+        }]);
+        setScenarioName('');
+    };
+
+    // Bring a saved configuration back into the Strategy step
+    const loadScenario = (scenario) => {
+        const { config } = scenario;
+        setPanelId(config.panelId);
+        setPanelCount(config.panelCount);
+        setPanelCountInput(String(config.panelCount));
+        setHasBattery(config.hasBattery);
+        setBatteryUnits(config.batteryUnits);
+        setBatteryId(config.batteryId);
+        setInverterId(config.inverterId);
+        setDayUsagePercent(config.dayUsagePercent);
+        setFinalReport(null);
+        setStep(4);
+    };
+
+    // Replace the whole visit with a saved (or blank) session
+    const applySession = (session, targetStep) => {
+        setAudit(session.audit);
+        setMonthlyKwhInput(String(session.audit.monthlyKwh));
+        setBillImport({ status: 'idle', message: '' });
+        setDayUsagePercent(session.strategy.dayUsagePercent);
+        setPanelId(session.strategy.panelId);
+        setPanelCount(session.strategy.panelCount);
+        setPanelCountInput(String(session.strategy.panelCount));
+        setHasBattery(session.strategy.hasBattery);
+        setBatteryUnits(session.strategy.batteryUnits);
+        setBatteryId(session.strategy.batteryId);
+        setInverterId(session.strategy.inverterId);
+        setPromoIds(session.report.promoIds);
+        setReturnsHorizon(session.report.returnsHorizon);
+        setFinancing(session.report.financing);
+        setScenarios(session.scenarios);
+        setOptimiseResults(null);
+        setSimDays([]);
+        setFinalReport(null);
+        setStep(targetStep);
+    };
+
+    const openClients = () => {
+        setClients(listClients());
+        if (step !== 11) setReturnStep(step);
+        setStep(11);
+    };
+
+    const startNewClient = () => {
+        applySession({ audit: newAudit, strategy: DEFAULT_STRATEGY, report: DEFAULT_REPORT_SETTINGS, scenarios: [] }, 2);
+    };
+
+    // Deleting the client whose audit is open clears that audit too, or the next save would bring it back
+    const removeClient = (client) => {
+        const phone = normalizePhone(client.audit.phone);
+        deleteClient(phone);
+        if (phone === normalizePhone(audit.phone)) {
+            applySession({ audit: newAudit, strategy: DEFAULT_STRATEGY, report: DEFAULT_REPORT_SETTINGS, scenarios: [] }, 11);
+            setReturnStep(2);
+        }
+        setPendingDelete(null);
+        setClients(listClients());
+    };
+
+    const openComparison = () => {
+        setReturnStep(step);
+        setStep(10);
+    };
+
+    const runSimulation = () => {
+        setStep(5); // Adjusted step index
+        setSimProgress(0);
+
+        const totalDays = SIMULATION_DAYS;
+        const animationSpeed = 70; // ms per tick
+
+        const formula = computeFormula(system);
+        const days = simulateMonth(system, formula);
+        setSimDays(days);
+
+        // Reset stats
+        let currentStats = {
+            tankLevel: 0,
+            gridExport: 0,
+            gridImport: 0,
+            solarGenerated: 0,
+            houseConsumed: 0,
+            weather: days[0].weather
+        };
+
+        let day = 0;
+
+        const interval = setInterval(() => {
+            day += 0.5; // Half day increments for faster anim
+            const progress = (day / totalDays) * 100;
+            setSimProgress(progress);
+
+            const today = days[Math.ceil(day) - 1];
+            const isDaytime = day % 1 !== 0;
+
+            // Accumulate half of today's totals per tick
+            currentStats.solarGenerated += today.solar / 2;
+            currentStats.houseConsumed += today.load / 2;
+            currentStats.gridExport += today.export / 2;
+            currentStats.gridImport += today.import / 2;
+            currentStats.weather = today.weather;
+            // First tick shows the charge after the sun, second what the night left
+            const socKwh = isDaytime ? today.peakSocKwh : today.endSocKwh;
+            currentStats.tankLevel = formula.J > 0 ? (socKwh / formula.J) * 100 : 0;
+
+            setSimStats({...currentStats});
+
+            if (day >= totalDays) {
+                clearInterval(interval);
+                const report = calculateFinalReport(system, formula, currentStats, days);
+                setFinalReport(report);
+                announceReport(report, formula);
+                if (isPhoneValid) sendLead(report); // An embed can start past the phone step
                 setTimeout(() => setStep(6), 1000); // Adjusted step index
-      }
-    }, animationSpeed);
-  };
+            }
+        }, animationSpeed);
+    };
 
-    const calculateFinalReport = (stats) => {
-        const formula = computeFormula();
-        const oldBill = formula.A * formula.K;
-        const newBill = formula.monthlyTnbCost;
-
-        // The "Trap" Calculation
-        const potentialValueIfUsed = stats.gridExport * AVG_GRID_RATE; 
-        const actualValueSold = stats.gridExport * NEM_EXPORT_RATE;
-        const lossAmount = potentialValueIfUsed - actualValueSold;
-
-        const monthlySavings = oldBill - newBill;
-
-        setFinalReport({
-            oldBill,
-            newBill,
-            monthlySavings,
-            totalGenerated: stats.solarGenerated,
-            totalUsed: stats.houseConsumed - stats.gridImport, // Self consumed
-            totalExported: stats.gridExport,
-            lossAmount,
+
+    // Tell an embedding page (see widget.jsx) that a report is ready
+    const announceReport = (report, formula) => {
+        if (!onReport) return;
+        onReport({
+            monthlyKwh: formula.A,
+            systemKwp: formula.D * formula.E,
+            panelId: formula.panel.id,
+            panelCount: formula.D,
+            batteryUnits: formula.H,
+            oldBill: report.oldBill,
+            newBill: report.newBill,
+            monthlySavings: report.monthlySavings,
+            upfrontCost: priceConfiguration(system, formula, reportSettings).upfront.total
         });
     };
 
-  // --- Render Components ---
+    const leaveSharedView = () => {
+        window.history.replaceState(null, '', window.location.pathname + window.location.search);
+        setIsSharedView(false);
+    };
 
-  const renderTestimonialScreen = (index) => {
-    // Data for the two testimonials
-    const testimonials = [
-        {
-            title: "Puchong Semi-D",
-            image: "/house1.jpeg",
-            usage: "1,230 kW",
-            panels: "18 pieces",
-            battery: "None",
-            monthlySaving: "RM 481",
-            monthlySavingPercent: "78%",
-            totalSaving: "RM 173,150",
-            nextButtonText: "Next Result"
-        },
-        {
-            title: "Rawang Semi-D",
-            image: "/house2.jpeg",
-            usage: "1,500 kW",
-            panels: "22 pieces",
-            battery: "2 Units",
-            monthlySaving: "RM 633",
-            monthlySavingPercent: "84%",
-            totalSaving: "RM 227,880",
-            nextButtonText: "Begin Your Plan"
+    // Carry on from the shared configuration in the Strategy step
+    const modifySharedReport = () => {
+        leaveSharedView();
+        setFinalReport(null);
+        setStep(4);
+    };
+
+    const copyShareLink = async () => {
+        const url = buildShareUrl({ audit, strategy, report: reportSettings }, window.location.href);
+        try {
+            await navigator.clipboard.writeText(url);
+            setShareStatus({ status: 'copied', url });
+        } catch {
+            setShareStatus({ status: 'manual', url });
         }
-    ];
+    };
+
+    // Post the lead; anything that can't get through is queued and retried
+    const sendLead = async (report) => {
+        const formula = computeFormula(system);
+        const lead = createLead({
+            phone: `+60${phoneDigits}`,
+            audit,
+            configuration: {
+                panelId,
+                panelCount,
+                systemKwp: selectedSystemSize,
+                batteryId: formula.H > 0 ? batteryId : null,
+                batteryUnits: formula.H,
+                inverterId: formula.inverter.id,
+                dayUsagePercent
+            },
+            estimate: {
+                monthlyKwh: formula.A,
+                oldBill: report.oldBill,
+                newBill: report.newBill,
+                monthlySavings: report.monthlySavings,
+                upfrontCost: priceConfiguration(system, formula, reportSettings).upfront.total
+            }
+        });
+        setLeadStatus({ status: 'sending', message: '', leadId: lead.leadId });
+        const result = await submitLead(lead, leadEndpoint);
+        setLeadStatus({ ...result, leadId: lead.leadId });
+        setQueuedLeads(getQueuedLeadCount());
+    };
+
+    // Assemble the report as plain data for the PDF proposal
+    const buildProposal = (report) => {
+        const formula = computeFormula(system);
+        const { upfront, returns } = priceConfiguration(system, formula, reportSettings);
+        const account = audit.billAccount || {};
+        const formatRm = (value) => `RM ${Math.round(value).toLocaleString()}`;
+        const savingsPercent = report.oldBill > 0 ? Math.max(0, Math.round((report.monthlySavings / report.oldBill) * 100)) : 0;
+
+        return {
+            brand: { name: brand.productName, color: brandColors.primary, logoUrl: brand.logo.src, contact: brand.contact },
+            client: {
+                name: account.accountName || `+60 ${audit.phone}`,
+                date: new Date().toLocaleDateString('en-MY', { day: 'numeric', month: 'long', year: 'numeric' }),
+                rows: [
+                    ['Name', account.accountName || '-'],
+                    ['WhatsApp', `+60 ${audit.phone}`],
+                    ['Region', region.name],
+                    ['House', `${getHouseType(audit.houseType).name}, ${housePhase.name.toLowerCase()}`],
+                    ['Roof', `${getRoofType(audit.roofType).name}, facing ${audit.roofFacing}, ${audit.roofTilt} deg tilt, ${audit.shading} shading`],
+                    ['Tariff', tariff.name]
+                ]
+            },
+            configuration: [
+                ['Monthly usage', `${Math.round(formula.A)} kWh${usageSummary ? ` (${usageBasis.name.toLowerCase()} of ${usageSummary.count} months)` : ''}`],
+                ['Day / night split', `${dayUsagePercent}% / ${100 - dayUsagePercent}%`],
+                ['Solar panels', `${panel.brand} ${panelWattage}W x ${panelCount} (${selectedSystemSize.toFixed(1)} kWp)`],
+                ['Inverter', `${formula.inverter.brand} ${formula.inverter.model} (${formula.inverter.ratedKw} kW)`],
+                ['Battery', formula.H > 0 ? `${battery.brand} ${battery.model} x ${formula.H} (${formula.J.toFixed(1)} kWh)` : 'None']
+            ],
+            bills: {
+                oldBill: report.oldBill,
+                newBill: report.newBill,
+                monthlySavings: Math.max(0, report.monthlySavings),
+                annualSavings: Math.max(0, report.monthlySavings) * 12,
+                savingsPercent
+            },
+            formula: {
+                summary: `Your bill is recalculated on the ${tariff.name} tariff using an hour-by-hour balance of solar output, household use${formula.H > 0 ? ', battery storage' : ''} and grid import/export for a typical day in ${region.name}.`,
+                rows: [
+                    ['Monthly use', `${formula.A.toFixed(0)} kWh`],
+                    ['Solar output (daily)', `${formula.G.toFixed(1)} kWh (${formula.F.toFixed(2)} kWh/kWp)`],
+                    ['Roof losses', `${Math.round((1 - roofDerating.factor) * 100)}%`],
+                    ['Solar used at home (daily)', `${formula.dailySelfConsumedKwh.toFixed(1)} kWh`],
+                    ['Grid import', `${formula.monthlyImportKwh.toFixed(0)} kWh / month`],
+                    ['Export', `${formula.monthlyExportKwh.toFixed(0)} kWh, credit ${formatRm(formula.exportCredit)} @ RM ${formula.K.toFixed(3)}`],
+                    ['Bill before', `RM ${formula.beforeBill.toFixed(2)}`],
+                    ['Bill after', `RM ${formula.monthlyTnbCost.toFixed(2)}`]
+                ]
+            },
+            monthly: formula.monthly,
+            investment: [
+                ...upfront.lineItems.map((item) => [item.label, formatRm(item.amount)]),
+                ...upfront.discounts.map((discount) => [discount.label, `- ${formatRm(discount.amount)}`]),
+                ['Upfront cost', formatRm(upfront.total)],
+                ['Simple payback', returns.simplePaybackYears !== null ? `${returns.simplePaybackYears.toFixed(1)} years` : 'n/a'],
+                ['IRR', returns.irr !== null ? `${(returns.irr * 100).toFixed(1)}%` : 'n/a'],
+                [`${returnsHorizon}-year savings`, formatRm(returns.totalSavings)]
+            ],
+            warranties: brand.usps.map((item) => ({ title: item.title, desc: item.desc })),
+            serviceSteps: brand.serviceSteps.map((item) => ({ title: item.title, desc: item.desc }))
+        };
+    };
+
+    const downloadProposal = async (report) => {
+        setProposalStatus({ status: 'building', message: '' });
+        try {
+            await downloadProposalPdf(buildProposal(report), `${brand.productName.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-proposal-${phoneDigits || 'client'}.pdf`);
+            setProposalStatus({ status: 'idle', message: '' });
+        } catch (error) {
+            setProposalStatus({ status: 'failed', message: error.message });
+        }
+    };
+
+  // --- Render Components ---
+
+  // Save the current configuration for side-by-side comparison
+  const renderScenarioSaver = () => (
+    <div className="bg-white p-4 sm:p-5 rounded-3xl shadow-sm border border-slate-200">
+        <div className="flex items-center justify-between gap-2 mb-3">
+            <h3 className="text-sm font-semibold text-slate-600 flex items-center gap-1">
+                <BookmarkPlus className="w-4 h-4 text-brand" /> Scenarios
+            </h3>
+            <div className="text-[11px] text-slate-500">{scenarios.length} / {MAX_SCENARIOS} saved</div>
+        </div>
+        {scenarios.length < MAX_SCENARIOS ? (
+            <div className="flex gap-2">
+                <input
+                    type="text"
+                    value={scenarioName}
+                    onChange={(e) => setScenarioName(e.target.value)}
+                    placeholder={describeConfig({ panelCount, panelWattage, batteryUnits: hasBattery ? batteryUnits : 0 })}
+                    className="flex-1 min-w-0 rounded-lg border border-slate-200 px-3 py-2 text-sm text-slate-800 focus:outline-none focus:ring-2 focus:ring-brand/20 focus:border-brand"
+                />
+                <button
+                    onClick={saveScenario}
+                    className="px-4 py-2 rounded-xl bg-brand text-white text-sm font-bold hover:bg-brand-dark transition-all"
+                >
+                    Save
+                </button>
+            </div>
+        ) : (
+            <div className="text-xs text-slate-500">Comparison is full. Remove a scenario to save this one.</div>
+        )}
+        {scenarios.length > 0 && (
+            <button
+                onClick={openComparison}
+                className="mt-3 w-full py-2 rounded-xl border-2 border-slate-200 text-sm font-semibold text-slate-600 hover:border-brand/40 flex items-center justify-center gap-2 transition-all"
+            >
+                <Columns3 className="w-4 h-4" /> Compare {scenarios.length} Scenario{scenarios.length > 1 ? 's' : ''}
+            </button>
+        )}
+    </div>
+  );
+
+  const renderClients = () => (
+    <div className="space-y-4 animate-in fade-in slide-in-from-right-8 duration-500">
+        <div className="flex items-center justify-between">
+            <h2 className="text-lg sm:text-xl font-bold text-slate-800 flex items-center">
+                <Users className="w-5 h-5 mr-2 text-brand"/> Saved Clients
+            </h2>
+            <button
+                onClick={startNewClient}
+                className="px-3 py-1.5 rounded-xl bg-brand text-white text-xs font-bold hover:bg-brand-dark flex items-center gap-1 transition-all"
+            >
+                <UserPlus className="w-4 h-4" /> New Client
+            </button>
+        </div>
+
+        {clients.length === 0 ? (
+            <div className="bg-white p-6 rounded-3xl shadow-sm border border-slate-200 text-center text-sm text-slate-500">
+                No saved clients yet. Sessions are saved on this device once a phone number is entered.
+            </div>
+        ) : (
+            <div className="space-y-3">
+                {clients.map((client) => {
+                    const clientPanel = getPanel(client.strategy.panelId);
+                    return (
+                        <div key={client.audit.phone} className="bg-white p-4 rounded-3xl shadow-sm border border-slate-200">
+                            <div className="flex items-start justify-between gap-2">
+                                <div>
+                                    <div className="text-sm font-bold text-slate-800">
+                                        {client.audit.billAccount && client.audit.billAccount.accountName ? client.audit.billAccount.accountName : `+60 ${client.audit.phone}`}
+                                    </div>
+                                    <div className="text-xs text-slate-500">
+                                        +60 {client.audit.phone} &middot; saved {new Date(client.savedAt).toLocaleString()}
+                                    </div>
+                                    <div className="text-xs text-slate-500 mt-1">
+                                        {client.audit.monthlyKwh} kW/month &middot; {client.strategy.panelCount} x {clientPanel.wattage}W
+                                        {client.strategy.hasBattery ? ` + ${client.strategy.batteryUnits} battery unit${client.strategy.batteryUnits > 1 ? 's' : ''}` : ''}
+                                        {client.scenarios.length > 0 ? ` · ${client.scenarios.length} scenario${client.scenarios.length > 1 ? 's' : ''}` : ''}
+                                    </div>
+                                </div>
+                                <button
+                                    onClick={() => setPendingDelete(client.audit.phone)}
+                                    className="text-slate-400 hover:text-red-500"
+                                    aria-label="Delete client"
+                                >
+                                    <Trash2 className="w-4 h-4" />
+                                </button>
+                            </div>
+                            {pendingDelete === client.audit.phone ? (
+                            <div className="mt-3 flex items-center justify-between gap-2 text-xs text-red-700 bg-red-50 border border-red-100 rounded-xl p-2">
+                                <span>
+                                    Delete this client from the device? This can't be undone
+                                    {normalizePhone(client.audit.phone) === normalizePhone(audit.phone) ? ' and clears the audit open now' : ''}.
+                                </span>
+                                <div className="flex gap-2 shrink-0">
+                                    <button
+                                        onClick={() => setPendingDelete(null)}
+                                        className="px-2.5 py-1 rounded-lg font-semibold text-slate-600 hover:bg-white transition-all"
+                                    >
+                                        Cancel
+                                    </button>
+                                    <button
+                                        onClick={() => removeClient(client)}
+                                        className="px-2.5 py-1 rounded-lg font-bold bg-red-600 text-white hover:bg-red-700 transition-all"
+                                    >
+                                        Delete
+                                    </button>
+                                </div>
+                            </div>
+                            ) : (
+                            <div className="mt-3 grid grid-cols-2 gap-2">
+                                <button
+                                    onClick={() => applySession(client, Math.max(3, Math.min(client.step, MAX_RESTORED_STEP)))}
+                                    className="py-2 rounded-xl bg-brand text-white text-xs font-bold hover:bg-brand-dark flex items-center justify-center gap-1 transition-all"
+                                >
+                                    <FolderOpen className="w-4 h-4" /> Reopen
+                                </button>
+                                <button
+                                    onClick={() => applySession({...client, audit: {...client.audit, phone: '', billAccount: null}}, 2)}
+                                    className="py-2 rounded-xl border-2 border-slate-200 text-xs font-bold text-slate-600 hover:border-brand/40 flex items-center justify-center gap-1 transition-all"
+                                >
+                                    <Copy className="w-4 h-4" /> Duplicate
+                                </button>
+                            </div>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+        )}
+    </div>
+  );
 
+  const renderComparison = () => (
+    <div className="space-y-4 animate-in fade-in slide-in-from-right-8 duration-500">
+        <h2 className="text-lg sm:text-xl font-bold text-slate-800 flex items-center">
+            <Columns3 className="w-5 h-5 mr-2 text-brand"/> Compare Scenarios
+        </h2>
+
+        {scenarios.length === 0 ? (
+            <div className="bg-white p-6 rounded-3xl shadow-sm border border-slate-200 text-center text-sm text-slate-500">
+                No scenarios saved yet. Save one from the Strategy or Report step.
+            </div>
+        ) : (
+            <div className="bg-white p-4 sm:p-6 rounded-3xl shadow-sm border border-slate-200 overflow-x-auto">
+                <table className="w-full text-xs sm:text-sm">
+                    <thead>
+                        <tr>
+                            <th className="w-1/4"></th>
+                            {scenarios.map((scenario) => (
+                                <th key={scenario.id} className="px-2 pb-3 text-left align-top">
+                                    <div className="font-bold text-slate-800">{scenario.name}</div>
+                                    <div className="text-[10px] font-normal text-slate-500">{scenario.summary.systemKwp.toFixed(1)} kWp &middot; {scenario.summary.panelLabel}</div>
+                                    <div className="text-[10px] font-normal text-slate-500">{scenario.summary.batteryLabel}</div>
+                                </th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {COMPARISON_ROWS.map((row) => {
+                            const bestValue = getBestValue(scenarios, row);
+                            return (
+                                <tr key={row.key} className="border-t border-slate-100">
+                                    <td className="py-2 pr-2 text-[10px] sm:text-xs font-bold uppercase text-slate-500">{row.label}</td>
+                                    {scenarios.map((scenario) => (
+                                        <td
+                                            key={scenario.id}
+                                            className={`px-2 py-2 tabular-nums ${scenario.results[row.key] === bestValue ? 'font-bold text-brand' : 'text-slate-700'}`}
+                                        >
+                                            {formatComparisonValue(scenario.results[row.key], row.format)}
+                                        </td>
+                                    ))}
+                                </tr>
+                            );
+                        })}
+                        <tr className="border-t border-slate-100">
+                            <td></td>
+                            {scenarios.map((scenario) => (
+                                <td key={scenario.id} className="px-2 pt-3 space-y-1">
+                                    <button
+                                        onClick={() => loadScenario(scenario)}
+                                        className="w-full py-1.5 rounded-lg bg-brand text-white text-xs font-bold hover:bg-brand-dark transition-all"
+                                    >
+                                        Load
+                                    </button>
+                                    <button
+                                        onClick={() => setScenarios(scenarios.filter((s) => s.id !== scenario.id))}
+                                        className="w-full py-1.5 rounded-lg text-xs font-semibold text-slate-400 hover:text-red-500 transition-all"
+                                    >
+                                        Remove
+                                    </button>
+                                </td>
+                            ))}
+                        </tr>
+                    </tbody>
+                </table>
+                <div className="mt-3 text-[11px] text-slate-500">
+                    Best value in each row is highlighted. Export loss is what exported solar would have saved if used at home, less the NEM credit.
+                </div>
+            </div>
+        )}
+
+        <button
+            onClick={() => setStep(returnStep)}
+            className="w-full py-3 rounded-2xl border-2 border-slate-200 text-sm font-bold text-slate-600 hover:bg-white transition-all"
+        >
+            Back
+        </button>
+    </div>
+  );
+
+  const renderTestimonialScreen = (index) => {
+    const testimonials = brand.testimonials.slice(0, 2 - introStep);
     const data = testimonials[index];
 
     return (
         <div className="space-y-6 animate-in fade-in slide-in-from-right-4 duration-500">
             <div className="bg-white p-5 sm:p-6 md:p-8 rounded-3xl shadow-sm border border-slate-200">
                 <div className="flex items-center justify-center mb-4">
-                    <img
-                        src="https://homifytech.com.my/wp-content/uploads/2025/04/homi-%E6%A9%AB-1536x369.png"
-                        alt="HomifyTech"
-                        className="h-8 sm:h-9 md:h-10 w-auto"
-                        onError={(e) => {
-                            e.target.onerror = null;
-                            e.target.style.display = 'none';
-                            e.target.parentNode.innerHTML = '<span class="text-xl font-bold text-slate-800">HomifyTech</span>';
-                        }}
-                    />
+                    <BrandLogo brand={brand} className="h-8 sm:h-9 md:h-10 w-auto" />
                 </div>
                 <h2 className="text-xl sm:text-2xl font-bold text-slate-800 text-center">
                     Real Client Results
                 </h2>
                 <div className="flex justify-center mt-2">
                     <div className="flex gap-1.5">
-                        <div className={`h-1.5 w-8 rounded-full transition-colors ${index === 0 ? 'bg-slate-800' : 'bg-slate-200'}`}></div>
-                        <div className={`h-1.5 w-8 rounded-full transition-colors ${index === 1 ? 'bg-slate-800' : 'bg-slate-200'}`}></div>
+                        {testimonials.map((item, i) => (
+                            <div key={i} className={`h-1.5 w-8 rounded-full transition-colors ${index === i ? 'bg-slate-800' : 'bg-slate-200'}`}></div>
+                        ))}
                     </div>
                 </div>
 
@@ -362,13 +1059,13 @@ export default function SolarSimulator() {
                                 </div>
                             </div>
                             
-                            <div className="bg-[#145A0D]/5 border border-[#145A0D]/10 rounded-xl p-5">
-                                <div className="flex justify-between items-end mb-4 border-b border-[#145A0D]/10 pb-4">
+                            <div className="bg-brand/5 border border-brand/10 rounded-xl p-5">
+                                <div className="flex justify-between items-end mb-4 border-b border-brand/10 pb-4">
                                     <div>
-                                        <div className="text-[10px] font-bold uppercase text-[#145A0D]/70 mb-0.5">Monthly Savings</div>
-                                        <div className="text-3xl font-black text-[#145A0D] leading-none">{data.monthlySaving}</div>
+                                        <div className="text-[10px] font-bold uppercase text-brand/70 mb-0.5">Monthly Savings</div>
+                                        <div className="text-3xl font-black text-brand leading-none">{data.monthlySaving}</div>
                                     </div>
-                                    <div className="text-xs font-bold text-[#145A0D] bg-[#145A0D]/10 px-3 py-1.5 rounded-lg">
+                                    <div className="text-xs font-bold text-brand bg-brand/10 px-3 py-1.5 rounded-lg">
                                         {data.monthlySavingPercent} Saved
                                     </div>
                                 </div>
@@ -384,9 +1081,9 @@ export default function SolarSimulator() {
 
             <button
                 onClick={() => setStep(step + 1)}
-                className="w-full py-3.5 sm:py-4 rounded-2xl text-base sm:text-lg font-bold flex items-center justify-center transition-all shadow-lg shadow-slate-200 bg-[#145A0D] text-white hover:bg-[#0F450A]"
+                className="w-full py-3.5 sm:py-4 rounded-2xl text-base sm:text-lg font-bold flex items-center justify-center transition-all shadow-lg shadow-slate-200 bg-brand text-white hover:bg-brand-dark"
             >
-                {data.nextButtonText} <ArrowRight className="ml-2 w-5 h-5" />
+                {index < testimonials.length - 1 ? 'Next Result' : 'Begin Your Plan'} <ArrowRight className="ml-2 w-5 h-5" />
             </button>
         </div>
     );
@@ -396,16 +1093,7 @@ export default function SolarSimulator() {
         <div className="space-y-6 animate-in fade-in slide-in-from-bottom-4 duration-500">
             <div className="bg-white p-5 sm:p-6 md:p-8 rounded-3xl shadow-sm border border-slate-200">
                 <div className="flex items-center justify-center mb-4">
-                     <img
-                        src="https://homifytech.com.my/wp-content/uploads/2025/04/homi-%E6%A9%AB-1536x369.png"
-                        alt="HomifyTech"
-                        className="h-8 sm:h-9 md:h-10 w-auto"
-                        onError={(e) => {
-                            e.target.onerror = null;
-                            e.target.style.display = 'none';
-                            e.target.parentNode.innerHTML = '<span class="text-xl font-bold text-slate-800">HomifyTech</span>';
-                        }}
-                    />
+                     <BrandLogo brand={brand} className="h-8 sm:h-9 md:h-10 w-auto" />
                 </div>
                 <h2 className="text-xl sm:text-2xl font-bold text-slate-800 text-center">
                     Welcome to the Solar Planner
@@ -416,7 +1104,7 @@ export default function SolarSimulator() {
 
                 <div className="mt-6">
                     <label className="block text-sm font-semibold text-slate-600 mb-2">Phone Number</label>
-                    <div className="flex items-center w-full rounded-2xl border px-4 py-3 bg-white transition-all focus-within:ring-2 focus-within:ring-[#145A0D]/20 focus-within:border-[#145A0D]">
+                    <div className="flex items-center w-full rounded-2xl border px-4 py-3 bg-white transition-all focus-within:ring-2 focus-within:ring-brand/20 focus-within:border-brand">
                         <span className="text-sm font-semibold text-slate-500 pr-3 border-r border-slate-200">+60</span>
                         <input
                             type="tel"
@@ -434,10 +1122,16 @@ export default function SolarSimulator() {
             <button 
                 onClick={() => setStep(3)} // Adjusted to go to Audit (Step 3)
                 disabled={!isPhoneValid}
-                className={`w-full py-3.5 sm:py-4 rounded-2xl text-base sm:text-lg font-bold flex items-center justify-center transition-all shadow-lg shadow-slate-200 ${isPhoneValid ? 'bg-[#145A0D] text-white hover:bg-[#0F450A]' : 'bg-[#145A0D]/15 text-[#145A0D]/50 cursor-not-allowed'}`}
+                className={`w-full py-3.5 sm:py-4 rounded-2xl text-base sm:text-lg font-bold flex items-center justify-center transition-all shadow-lg shadow-slate-200 ${isPhoneValid ? 'bg-brand text-white hover:bg-brand-dark' : 'bg-brand/15 text-brand/50 cursor-not-allowed'}`}
             >
                 Continue <ArrowRight className="ml-2 w-5 h-5" />
             </button>
+            <button
+                onClick={openClients}
+                className="w-full py-2 text-slate-400 text-sm font-semibold hover:text-slate-600 flex items-center justify-center"
+            >
+                <Users className="w-4 h-4 mr-1" /> Saved Clients
+            </button>
         </div>
   );
 
@@ -445,9 +1139,68 @@ export default function SolarSimulator() {
         <div className="space-y-6 animate-in fade-in slide-in-from-bottom-4 duration-500">
             <div className="bg-white p-4 sm:p-5 md:p-6 rounded-3xl shadow-sm border border-slate-200">
                 <h2 className="text-lg sm:text-xl font-bold text-slate-800 mb-4 flex items-center">
-                    <Calculator className="w-5 h-5 mr-2 text-[#145A0D]"/> Phase 1: The Audit
+                    <Calculator className="w-5 h-5 mr-2 text-brand"/> Phase 1: The Audit
                 </h2>
-        
+
+                {/* Bill Import */}
+                <div className="mb-8 bg-slate-50 border border-slate-200 rounded-2xl p-4">
+                    <div className="flex items-center justify-between gap-2 mb-1">
+                        <div className="text-sm font-semibold text-slate-600">Import from TNB Bill</div>
+                        {billImport.status === 'parsing' && <Loader2 className="w-4 h-4 text-slate-400 animate-spin" />}
+                    </div>
+                    <div className="text-xs text-slate-500 mb-3">Read locally on this device; nothing is uploaded.</div>
+                    <div className="flex gap-2">
+                        <label className="flex-1 py-2 rounded-xl border-2 border-slate-200 bg-white text-sm font-semibold text-slate-600 flex items-center justify-center gap-2 cursor-pointer hover:border-brand/40">
+                            <Upload className="w-4 h-4" /> Upload e-Bill
+                            <input
+                                type="file"
+                                accept=".pdf,.txt,application/pdf,text/plain"
+                                className="hidden"
+                                onChange={(e) => { handleBillFile(e.target.files[0]); e.target.value = ''; }}
+                            />
+                        </label>
+                        <button
+                            onClick={() => setShowBillPaste(!showBillPaste)}
+                            className={`flex-1 py-2 rounded-xl border-2 text-sm font-semibold flex items-center justify-center gap-2 transition-all ${showBillPaste ? 'border-brand bg-white text-slate-800' : 'border-slate-200 bg-white text-slate-600 hover:border-brand/40'}`}
+                        >
+                            <ClipboardPaste className="w-4 h-4" /> Paste Text
+                        </button>
+                    </div>
+                    {showBillPaste && (
+                        <div className="mt-3 space-y-2">
+                            <textarea
+                                rows="4"
+                                value={billText}
+                                onChange={(e) => setBillText(e.target.value)}
+                                placeholder="Paste the text of your TNB bill, including the usage history table"
+                                className="w-full rounded-lg border border-slate-200 px-3 py-2 text-xs text-slate-700 focus:outline-none focus:ring-2 focus:ring-brand/20 focus:border-brand"
+                            />
+                            <button
+                                onClick={() => applyParsedBill(parseTnbBill(billText))}
+                                disabled={!billText.trim()}
+                                className={`w-full py-2 rounded-xl text-sm font-bold transition-all ${billText.trim() ? 'bg-brand text-white hover:bg-brand-dark' : 'bg-brand/15 text-brand/50 cursor-not-allowed'}`}
+                            >
+                                Read Bill Text
+                            </button>
+                        </div>
+                    )}
+                    {billImport.status === 'error' && (
+                        <div className="mt-3 flex items-start gap-2 text-xs text-red-700 bg-red-50 border border-red-100 rounded-lg p-2">
+                            <AlertTriangle className="w-4 h-4 shrink-0" /> <span>{billImport.message}</span>
+                        </div>
+                    )}
+                    {billImport.status === 'success' && (
+                        <div className="mt-3 flex items-start gap-2 text-xs text-green-800 bg-green-50 border border-green-100 rounded-lg p-2">
+                            <CheckCircle2 className="w-4 h-4 shrink-0" /> <span>{billImport.message}</span>
+                        </div>
+                    )}
+                    {audit.billAccount && (audit.billAccount.accountName || audit.billAccount.billDate) && (
+                        <div className="mt-3 text-[11px] text-slate-500">
+                            {audit.billAccount.accountName}{audit.billAccount.accountName && audit.billAccount.billDate ? ' · ' : ''}{audit.billAccount.billDate && `Bill dated ${audit.billAccount.billDate}`}
+                        </div>
+                    )}
+                </div>
+
                 {/* Monthly Usage */}
                 <div className="mb-8">
                     <label className="block text-sm font-semibold text-slate-600 mb-2">Monthly Usage (kW)</label>
@@ -476,50 +1229,381 @@ export default function SolarSimulator() {
                                 setAudit({...audit, monthlyKwh: normalizedValue});
                                 setMonthlyKwhInput(String(normalizedValue));
                             }}
-                            className="w-32 rounded-lg border border-slate-200 px-3 py-2 text-sm font-semibold text-slate-800 focus:outline-none focus:ring-2 focus:ring-[#145A0D]/20 focus:border-[#145A0D]"
+                            className="w-32 rounded-lg border border-slate-200 px-3 py-2 text-sm font-semibold text-slate-800 focus:outline-none focus:ring-2 focus:ring-brand/20 focus:border-brand"
                         />
                         <span className="text-sm font-semibold text-slate-500">kW</span>
                     </div>
                     <div className="mt-2 text-xs text-slate-500">
-                        Future plans can increase this estimate to {adjustedMonthlyKwh} kW.
+                        {usageSummary
+                            ? `Usage history below is used instead: ${baseMonthlyKwh} kW (${usageBasis.name.toLowerCase()} basis). `
+                            : ''}
+                        Planned appliances can increase this estimate to {adjustedMonthlyKwh} kW.
                     </div>
                 </div>
 
-                <div className="grid grid-cols-1 gap-6">
-                    <div className="space-y-4">
-                        <label className="text-sm font-semibold text-slate-600">Future Plans</label>
-                        <div className="flex gap-2">
-                            <button 
-                                onClick={() => setAudit({...audit, futureEV: !audit.futureEV})}
-                                className={`flex-1 py-3 rounded-xl border-2 flex flex-col items-center justify-center gap-1 transition-all ${audit.futureEV ? 'border-green-500 bg-green-50 text-green-700' : 'border-slate-200 text-slate-400 hover:bg-slate-50'}`}
-                            >
-                                <Car className="w-5 h-5"/> <span className="text-xs font-bold">EV</span>
-                            </button>
-                            <button 
-                                onClick={() => setAudit({...audit, futurePool: !audit.futurePool})}
-                                className={`flex-1 py-3 rounded-xl border-2 flex flex-col items-center justify-center gap-1 transition-all ${audit.futurePool ? 'border-cyan-500 bg-cyan-50 text-cyan-700' : 'border-slate-200 text-slate-400 hover:bg-slate-50'}`}
-                            >
-                                <Waves className="w-5 h-5"/> <span className="text-xs font-bold">Pool</span>
-                            </button>
-                            <button 
-                                onClick={() => setAudit({...audit, futurePond: !audit.futurePond})}
-                                className={`flex-1 py-3 rounded-xl border-2 flex flex-col items-center justify-center gap-1 transition-all ${audit.futurePond ? 'border-blue-500 bg-blue-50 text-blue-700' : 'border-slate-200 text-slate-400 hover:bg-slate-50'}`}
-                            >
-                                <Fish className="w-5 h-5"/> <span className="text-xs font-bold">Pond</span>
-                            </button>
+                {/* Usage History */}
+                <div className="mb-8">
+                    <div className="flex items-center justify-between gap-2 mb-2">
+                        <label className="text-sm font-semibold text-slate-600">Usage History (Optional)</label>
+                        <button
+                            onClick={() => { setShowUsageCsv(!showUsageCsv); setUsageCsvError(false); }}
+                            className="text-xs font-semibold text-brand hover:underline flex items-center gap-1"
+                        >
+                            <ClipboardPaste className="w-3 h-3" /> Paste CSV
+                        </button>
+                    </div>
+                    <div className="text-xs text-slate-500 mb-3">Up to 12 months in kW. Leave unknown months blank.</div>
+                    {showUsageCsv && (
+                        <div className="mb-3 space-y-2">
+                            <textarea
+                                rows="4"
+                                value={usageCsv}
+                                onChange={(e) => setUsageCsv(e.target.value)}
+                                placeholder={'Jan,850\nFeb,820\n...\nor 12 values from Jan to Dec'}
+                                className="w-full rounded-lg border border-slate-200 px-3 py-2 text-xs text-slate-700 focus:outline-none focus:ring-2 focus:ring-brand/20 focus:border-brand"
+                            />
+                            {usageCsvError && (
+                                <div className="text-xs text-red-700">No month and kW pairs found. Use one "month,kW" per line.</div>
+                            )}
+                            <button
+                                onClick={applyUsageCsv}
+                                disabled={!usageCsv.trim()}
+                                className={`w-full py-2 rounded-xl text-sm font-bold transition-all ${usageCsv.trim() ? 'bg-brand text-white hover:bg-brand-dark' : 'bg-brand/15 text-brand/50 cursor-not-allowed'}`}
+                            >
+                                Fill Months
+                            </button>
+                        </div>
+                    )}
+                    <div className="grid grid-cols-3 sm:grid-cols-6 gap-2">
+                        {MONTH_LABELS.map((label, index) => (
+                            <label key={label} className="rounded-lg border border-slate-200 px-2 py-1">
+                                <span className="block text-[10px] font-bold uppercase text-slate-400">{label}</span>
+                                <input
+                                    type="number"
+                                    min="0"
+                                    max={MAX_MONTHLY_KWH}
+                                    value={audit.monthlyUsage[index] ?? ''}
+                                    onChange={(e) => updateMonthUsage(index, e.target.value)}
+                                    placeholder="-"
+                                    className="w-full text-sm font-semibold text-slate-800 tabular-nums focus:outline-none"
+                                />
+                            </label>
+                        ))}
+                    </div>
+                    {usageSummary && (
+                        <div className="mt-3 space-y-3">
+                            <div className="grid grid-cols-2 gap-2 text-center">
+                                <div className="rounded-lg bg-slate-50 border border-slate-200 p-2">
+                                    <div className="text-[10px] font-bold uppercase text-slate-400">Average ({usageSummary.count} mo)</div>
+                                    <div className="text-sm font-bold text-slate-800">{Math.round(usageSummary.average)} kW</div>
+                                </div>
+                                <div className="rounded-lg bg-slate-50 border border-slate-200 p-2">
+                                    <div className="text-[10px] font-bold uppercase text-slate-400">Peak ({usageSummary.peakMonth})</div>
+                                    <div className="text-sm font-bold text-slate-800">{Math.round(usageSummary.peak)} kW</div>
+                                </div>
+                            </div>
+                            <div>
+                                <div className="text-xs font-semibold text-slate-600 mb-2">Size the system on</div>
+                                <div className="grid grid-cols-3 gap-2">
+                                    {USAGE_BASES.map((basis) => (
+                                        <button
+                                            key={basis.id}
+                                            onClick={() => setAudit({...audit, usageBasis: basis.id})}
+                                            className={`p-2 rounded-xl border-2 text-xs font-bold transition-all ${usageBasis.id === basis.id ? 'bg-white border-brand text-slate-800 shadow-sm' : 'border-slate-200 text-slate-500 hover:bg-slate-50'}`}
+                                        >
+                                            {basis.name}
+                                        </button>
+                                    ))}
+                                </div>
+                                <div className="mt-2 text-xs text-slate-500">{usageBasis.description}.</div>
+                            </div>
+                            <button
+                                onClick={() => { setAudit({...audit, monthlyUsage: createEmptyUsage(), billAccount: null}); setBillImport({ status: 'idle', message: '' }); }}
+                                className="text-[11px] font-semibold text-slate-400 hover:text-slate-600"
+                            >
+                                Clear usage history
+                            </button>
+                        </div>
+                    )}
+                </div>
+
+                {/* Location */}
+                <div className="mb-8">
+                    <label className="block text-sm font-semibold text-slate-600 mb-2">Location</label>
+                    <select
+                        value={region.id}
+                        onChange={(e) => setAudit({...audit, regionId: e.target.value})}
+                        className="w-full sm:w-64 rounded-lg border border-slate-200 px-3 py-2 text-sm font-semibold text-slate-800 bg-white focus:outline-none focus:ring-2 focus:ring-brand/20 focus:border-brand"
+                    >
+                        {REGIONS.map((r) => (
+                            <option key={r.id} value={r.id}>{r.name}</option>
+                        ))}
+                    </select>
+                    <div className="mt-2 text-xs text-slate-500">
+                        Average {averageYield.toFixed(1)} kWh per kWp per day, from {Math.min(...region.psh).toFixed(1)} to {Math.max(...region.psh).toFixed(1)} peak sun hours across the year.
+                    </div>
+                </div>
+
+                {/* Roof & Site */}
+                <div className="mb-8 space-y-4">
+                    <label className="block text-sm font-semibold text-slate-600">Roof &amp; Site</label>
+                    <div>
+                        <div className="text-xs font-bold text-slate-500 uppercase mb-2">House Type</div>
+                        <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+                            {HOUSE_TYPES.map((house) => (
+                                <button
+                                    key={house.id}
+                                    onClick={() => setAudit({...audit, houseType: house.id})}
+                                    className={`py-2 rounded-xl text-sm font-semibold border-2 transition-all ${audit.houseType === house.id ? 'bg-white border-brand text-slate-800 shadow-sm' : 'border-slate-200 text-slate-500 hover:bg-slate-50'}`}
+                                >
+                                    {house.name}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                    <div>
+                        <div className="text-xs font-bold text-slate-500 uppercase mb-2">Roof Type</div>
+                        <div className="grid grid-cols-3 gap-2">
+                            {ROOF_TYPES.map((roof) => (
+                                <button
+                                    key={roof.id}
+                                    onClick={() => setAudit({...audit, roofType: roof.id, roofTilt: roof.defaultTilt})}
+                                    className={`py-2 rounded-xl text-sm font-semibold border-2 transition-all ${audit.roofType === roof.id ? 'bg-white border-brand text-slate-800 shadow-sm' : 'border-slate-200 text-slate-500 hover:bg-slate-50'}`}
+                                >
+                                    {roof.name}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                        <div>
+                            <div className="text-xs font-bold text-slate-500 uppercase mb-2">Panels Facing</div>
+                            <select
+                                value={audit.roofFacing}
+                                onChange={(e) => setAudit({...audit, roofFacing: e.target.value})}
+                                className="w-full rounded-lg border border-slate-200 px-3 py-2 text-sm font-semibold text-slate-800 bg-white focus:outline-none focus:ring-2 focus:ring-brand/20 focus:border-brand"
+                            >
+                                {ROOF_FACINGS.map((facing) => (
+                                    <option key={facing.id} value={facing.id}>{facing.name}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div>
+                            <div className="flex items-center justify-between mb-2">
+                                <div className="text-xs font-bold text-slate-500 uppercase">Tilt</div>
+                                <div className="text-xs font-semibold text-slate-700">{audit.roofTilt}°</div>
+                            </div>
+                            <input
+                                type="range" min="0" max="45" step="5"
+                                value={audit.roofTilt}
+                                onChange={(e) => setAudit({...audit, roofTilt: Number(e.target.value)})}
+                                className="w-full h-2 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-brand"
+                            />
+                        </div>
+                    </div>
+                    <div>
+                        <div className="text-xs font-bold text-slate-500 uppercase mb-2">Shading</div>
+                        <div className="grid grid-cols-4 gap-2">
+                            {SHADING_LEVELS.map((level) => (
+                                <button
+                                    key={level.id}
+                                    onClick={() => setAudit({...audit, shading: level.id})}
+                                    className={`py-2 rounded-xl text-sm font-semibold border-2 transition-all ${audit.shading === level.id ? 'bg-white border-brand text-slate-800 shadow-sm' : 'border-slate-200 text-slate-500 hover:bg-slate-50'}`}
+                                >
+                                    {level.name}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                    <div className="text-xs text-slate-500 bg-slate-50 p-2 rounded-lg border border-slate-100">
+                        {getRoofType(audit.roofType).name} roof fits up to <strong>{maxPanels} panels</strong>; orientation, tilt and shading cost <strong>{Math.round((1 - roofDerating.factor) * 100)}%</strong> of generation.
+                    </div>
+                </div>
+
+                {/* Electricity Supply */}
+                <div className="mb-8">
+                    <label className="block text-sm font-semibold text-slate-600 mb-2">Electricity Supply</label>
+                    <div className="grid grid-cols-2 gap-2">
+                        {HOUSE_PHASES.map((phase) => (
+                            <button
+                                key={phase.id}
+                                onClick={() => { setAudit({...audit, housePhase: phase.id}); setInverterId(null); }}
+                                className={`p-3 rounded-xl border-2 text-left transition-all ${audit.housePhase === phase.id ? 'border-brand bg-brand/5 text-slate-800' : 'border-slate-200 text-slate-500 hover:bg-slate-50'}`}
+                            >
+                                <div className="text-sm font-bold">{phase.name}</div>
+                                <div className="text-[11px] opacity-80">Inverter up to {phase.maxInverterKw} kW</div>
+                            </button>
+                        ))}
+                    </div>
+                </div>
+
+                {/* Tariff Profile */}
+                <div className="mb-8">
+                    <label className="block text-sm font-semibold text-slate-600 mb-2">Electricity Tariff</label>
+                    <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+                        {TARIFF_PROFILES.map((profile) => (
+                            <button
+                                key={profile.id}
+                                onClick={() => setAudit({...audit, tariffId: profile.id})}
+                                className={`p-3 rounded-xl border-2 text-left transition-all ${tariff.id === profile.id ? 'border-brand bg-brand/5 text-slate-800' : 'border-slate-200 text-slate-500 hover:bg-slate-50'}`}
+                            >
+                                <div className="text-sm font-bold">{profile.shortName}</div>
+                                <div className="text-[11px] opacity-80">{profile.description}</div>
+                            </button>
+                        ))}
+                    </div>
+                </div>
+
+                {/* Appliances */}
+                <div className="space-y-4">
+                    <div>
+                        <label className="text-sm font-semibold text-slate-600">Appliances (Optional)</label>
+                        <div className="text-xs text-slate-500 mt-1">What runs in the house and when. Mark future additions as planned.</div>
+                    </div>
+                    <div className="grid grid-cols-4 gap-2">
+                        {APPLIANCE_TYPES.map((type) => {
+                            const Icon = APPLIANCE_ICONS[type.id];
+                            return (
+                                <button
+                                    key={type.id}
+                                    onClick={() => addAppliance(type.id)}
+                                    className="py-2 rounded-xl border-2 border-slate-200 text-slate-500 hover:bg-slate-50 flex flex-col items-center justify-center gap-1 transition-all"
+                                >
+                                    <Icon className="w-5 h-5"/> <span className="text-[10px] font-bold leading-tight text-center">{type.name}</span>
+                                </button>
+                            );
+                        })}
+                    </div>
+
+                    {audit.appliances.map((appliance) => {
+                        const type = APPLIANCE_TYPES.find((t) => t.id === appliance.type);
+                        const Icon = APPLIANCE_ICONS[appliance.type];
+                        const isEv = appliance.type === 'ev';
+                        const fieldClass = 'w-full rounded-lg border border-slate-200 px-2 py-1 text-sm font-semibold text-slate-800 bg-white focus:outline-none focus:ring-2 focus:ring-brand/20 focus:border-brand';
+                        return (
+                            <div key={appliance.key} className="rounded-2xl border border-slate-200 bg-slate-50 p-3">
+                                <div className="flex items-center justify-between gap-2 mb-2">
+                                    <div className="flex items-center gap-2 text-sm font-bold text-slate-700">
+                                        <Icon className="w-4 h-4 text-brand"/> {type.name}
+                                    </div>
+                                    <div className="flex items-center gap-2">
+                                        <button
+                                            onClick={() => updateAppliance(appliance.key, { planned: !appliance.planned })}
+                                            className={`px-2 py-0.5 rounded-full text-[10px] font-bold border transition-all ${appliance.planned ? 'border-blue-200 bg-blue-50 text-blue-700' : 'border-slate-200 bg-white text-slate-500'}`}
+                                        >
+                                            {appliance.planned ? 'Planned' : 'In Use'}
+                                        </button>
+                                        <button onClick={() => removeAppliance(appliance.key)} className="text-slate-400 hover:text-red-500" aria-label={`Remove ${type.name}`}>
+                                            <Trash2 className="w-4 h-4"/>
+                                        </button>
+                                    </div>
+                                </div>
+                                <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+                                    <label className="text-[10px] font-bold uppercase text-slate-400">
+                                        Qty
+                                        <input type="number" min="1" max="10" value={appliance.quantity}
+                                            onChange={(e) => updateAppliance(appliance.key, { quantity: Math.min(10, Math.max(1, Number(e.target.value) || 1)) })}
+                                            className={fieldClass}/>
+                                    </label>
+                                    <label className="text-[10px] font-bold uppercase text-slate-400">
+                                        {isEv ? 'Charger kW' : 'Power kW'}
+                                        <input type="number" min="0" max="22" step="0.1" value={appliance.powerKw}
+                                            onChange={(e) => updateAppliance(appliance.key, { powerKw: Math.min(22, Math.max(0, Number(e.target.value) || 0)) })}
+                                            className={fieldClass}/>
+                                    </label>
+                                    {isEv ? (
+                                        <label className="text-[10px] font-bold uppercase text-slate-400">
+                                            km / Day
+                                            <input type="number" min="0" max="500" step="5" value={appliance.dailyKm}
+                                                onChange={(e) => updateAppliance(appliance.key, { dailyKm: Math.min(500, Math.max(0, Number(e.target.value) || 0)) })}
+                                                className={fieldClass}/>
+                                        </label>
+                                    ) : (
+                                        <label className="text-[10px] font-bold uppercase text-slate-400">
+                                            Hours / Day
+                                            <input type="number" min="0" max="24" step="0.5" value={appliance.hours}
+                                                onChange={(e) => updateAppliance(appliance.key, { hours: Math.min(24, Math.max(0, Number(e.target.value) || 0)) })}
+                                                className={fieldClass}/>
+                                        </label>
+                                    )}
+                                    <label className="text-[10px] font-bold uppercase text-slate-400">
+                                        {isEv ? 'Charge From' : 'Starts At'}
+                                        <select value={appliance.startHour}
+                                            onChange={(e) => updateAppliance(appliance.key, { startHour: Number(e.target.value) })}
+                                            className={fieldClass}>
+                                            {Array.from({ length: 24 }, (_, hour) => (
+                                                <option key={hour} value={hour}>{String(hour).padStart(2, '0')}:00</option>
+                                            ))}
+                                        </select>
+                                    </label>
+                                    {isEv && (
+                                        <>
+                                            <label className="text-[10px] font-bold uppercase text-slate-400">
+                                                Car Battery kWh
+                                                <input type="number" min="10" max="150" step="5" value={appliance.batteryKwh}
+                                                    onChange={(e) => updateAppliance(appliance.key, { batteryKwh: Math.min(150, Math.max(10, Number(e.target.value) || 10)) })}
+                                                    className={fieldClass}/>
+                                            </label>
+                                            <label className="text-[10px] font-bold uppercase text-slate-400">
+                                                Charge Until
+                                                <select value={appliance.endHour}
+                                                    onChange={(e) => updateAppliance(appliance.key, { endHour: Number(e.target.value) })}
+                                                    className={fieldClass}>
+                                                    {Array.from({ length: 24 }, (_, hour) => (
+                                                        <option key={hour} value={hour}>{String(hour).padStart(2, '0')}:00</option>
+                                                    ))}
+                                                </select>
+                                            </label>
+                                        </>
+                                    )}
+                                </div>
+                                <div className="mt-2 text-[11px] text-slate-500">
+                                    {(getApplianceDailyKwh(appliance) * 30).toFixed(0)} kW / month
+                                    {isEv && `, ${getEvCharging(appliance).runHours.toFixed(1)}h of charging a day`}
+                                </div>
+                                {isEv && getEvCharging(appliance).shortfallKwh > 0.05 && (
+                                    <div className="mt-1 text-[11px] text-orange-700">
+                                        The window is too short: {getEvCharging(appliance).shortfallKwh.toFixed(1)} kWh a day left uncharged. Widen it or use a faster charger.
+                                    </div>
+                                )}
+                            </div>
+                        );
+                    })}
+
+                    {currentLoad.dailyKwh > 0 && (
+                        <div className="text-xs text-slate-500 bg-slate-50 p-2 rounded-lg border border-slate-100 flex items-center justify-between gap-2">
+                            <span>
+                                Appliances in use: <strong>{Math.round(currentLoad.monthlyKwh)} kW</strong> a month, {Math.round(currentLoad.dayPercent)}% in daytime.
+                            </span>
+                            {!usageSummary && (
+                                <button
+                                    onClick={() => {
+                                        const normalizedValue = Math.min(3000, Math.max(200, Math.round(currentLoad.monthlyKwh)));
+                                        setAudit({...audit, monthlyKwh: normalizedValue});
+                                        setMonthlyKwhInput(String(normalizedValue));
+                                    }}
+                                    className="shrink-0 font-semibold text-brand hover:underline"
+                                >
+                                    Use as Monthly Usage
+                                </button>
+                            )}
                         </div>
-                        {(audit.futureEV || audit.futurePool || audit.futurePond) && (
-                            <div className="text-xs text-slate-500 bg-slate-50 p-2 rounded-lg border border-slate-100">
-                                Estimated monthly usage increases to <strong>{adjustedMonthlyKwh} kW</strong>.
-                            </div>
-                        )}
-                    </div>
+                    )}
+                    {plannedLoad.dailyKwh > 0 && (
+                        <div className="text-xs text-slate-500 bg-slate-50 p-2 rounded-lg border border-slate-100">
+                            Planned appliances add {Math.round(plannedLoad.monthlyKwh)} kW; estimated monthly usage increases to <strong>{adjustedMonthlyKwh} kW</strong>.
+                        </div>
+                    )}
                 </div>
             </div>
       
             <button 
-                onClick={() => setStep(4)} // Adjusted to go to Strategy (Step 4)
-                className="w-full py-3.5 sm:py-4 rounded-2xl text-base sm:text-lg font-bold flex items-center justify-center transition-all shadow-lg shadow-[0_10px_20px_rgba(20,90,13,0.2)] bg-[#145A0D] text-white hover:bg-[#0F450A]"
+                onClick={() => {
+                    applyPanelCount(panelCount);
+                    if (currentLoad.dailyKwh > 0) setDayUsagePercent(applianceDayPercent);
+                    setStep(4);
+                }} // Adjusted to go to Strategy (Step 4)
+                className="w-full py-3.5 sm:py-4 rounded-2xl text-base sm:text-lg font-bold flex items-center justify-center transition-all shadow-lg shadow-[0_10px_20px_color-mix(in_srgb,var(--color-brand)_20%,transparent)] bg-brand text-white hover:bg-brand-dark"
             >
                 Start Strategy Session <ArrowRight className="ml-2 w-5 h-5" />
             </button>
@@ -531,13 +1615,76 @@ export default function SolarSimulator() {
       <div className="space-y-4 animate-in fade-in slide-in-from-right-8 duration-500">
         <div className="flex justify-between items-center mb-2">
             <h2 className="text-lg sm:text-xl font-bold text-slate-800 flex items-center">
-                <LayoutDashboard className="w-5 h-5 mr-2 text-[#145A0D]"/> Phase 2: Usage Strategy
+                <LayoutDashboard className="w-5 h-5 mr-2 text-brand"/> Phase 2: Usage Strategy
             </h2>
             <div className="text-[11px] sm:text-xs font-medium px-3 py-1 bg-slate-100 rounded-full text-slate-500">
                 System: {effectiveSystemSize.toFixed(1)} kWp
             </div>
         </div>
 
+        {/* Optimiser */}
+        <div className="bg-white p-4 sm:p-5 rounded-3xl shadow-sm border border-slate-200">
+            <div className="flex items-center justify-between gap-2 mb-3">
+                <h3 className="text-sm font-semibold text-slate-600 flex items-center gap-1">
+                    <Sparkles className="w-4 h-4 text-brand" /> Optimise
+                </h3>
+                <div className="text-[11px] text-slate-500">
+                    Recommended size: <span className="font-semibold text-slate-700">{recommendedSystemSize} kWp</span> (~{Math.ceil((recommendedSystemSize * 1000) / panelWattage)} x {panelWattage}W)
+                </div>
+            </div>
+            <div className="grid grid-cols-3 gap-2">
+                {OPTIMISE_OBJECTIVES.map((objective) => (
+                    <button
+                        key={objective.id}
+                        onClick={() => runOptimiser(objective.id)}
+                        className={`p-2 rounded-xl border-2 text-xs font-bold transition-all ${optimiseResults && optimiseObjective === objective.id ? 'bg-white border-brand text-slate-800 shadow-sm' : 'border-slate-200 text-slate-500 hover:bg-slate-50'}`}
+                    >
+                        {objective.name}
+                    </button>
+                ))}
+            </div>
+            <div className="mt-2 text-[11px] text-slate-500">
+                {optimiseResults
+                    ? `${OPTIMISE_OBJECTIVES.find((objective) => objective.id === optimiseObjective).description}. Tap a design to apply it.`
+                    : `Tries every panel type, ${PANEL_COUNT_RANGE.min}-${PANEL_COUNT_RANGE.max} panels and 0-${MAX_BATTERY_UNITS} ${battery.model} units that fit the roof and supply.`}
+            </div>
+            {optimiseResults && optimiseResults.length === 0 && (
+                <div className="mt-3 text-xs text-slate-500">No design saves money on this usage and tariff.</div>
+            )}
+            {optimiseResults && optimiseResults.length > 0 && (
+                <div className="mt-3 grid grid-cols-1 sm:grid-cols-3 gap-2">
+                    {optimiseResults.map((candidate, index) => {
+                        const option = getPanel(candidate.panelId);
+                        const isApplied = candidate.panelId === panel.id
+                            && candidate.panelCount === panelCount
+                            && candidate.batteryUnits === (hasBattery ? batteryUnits : 0);
+                        return (
+                            <button
+                                key={`${candidate.panelId}-${candidate.panelCount}-${candidate.batteryUnits}`}
+                                onClick={() => applyCandidate(candidate)}
+                                className={`p-3 rounded-xl border-2 text-left transition-all ${isApplied ? 'bg-white border-brand text-slate-800 shadow-sm' : 'border-slate-200 text-slate-600 hover:bg-slate-50'}`}
+                            >
+                                <div className="flex items-center justify-between text-[10px] font-bold uppercase text-slate-400">
+                                    <span>#{index + 1}</span>
+                                    {isApplied && <span className="text-brand flex items-center gap-1"><Check className="w-3 h-3" /> Applied</span>}
+                                </div>
+                                <div className="text-sm font-bold">{candidate.panelCount} x {option.wattage}W {option.brand}</div>
+                                <div className="text-[11px]">
+                                    {candidate.systemKwp.toFixed(1)} kWp, {candidate.batteryUnits > 0 ? `${candidate.batteryUnits} battery unit${candidate.batteryUnits > 1 ? 's' : ''}` : 'no battery'}
+                                </div>
+                                <div className="mt-2 grid grid-cols-2 gap-1 text-[11px] text-slate-500">
+                                    <span>Cost <span className="font-semibold text-slate-700">RM {Math.round(candidate.upfrontCost).toLocaleString()}</span></span>
+                                    <span>Payback <span className="font-semibold text-slate-700">{candidate.paybackYears === null ? '-' : `${candidate.paybackYears.toFixed(1)} yrs`}</span></span>
+                                    <span>Saves <span className="font-semibold text-slate-700">RM {Math.round(candidate.annualSavings).toLocaleString()}/yr</span></span>
+                                    <span>Self-suff. <span className="font-semibold text-slate-700">{Math.round(candidate.selfSufficiency * 100)}%</span></span>
+                                </div>
+                            </button>
+                        );
+                    })}
+                </div>
+            )}
+        </div>
+
         {/* Usage Split + Hardware */}
         <div className="bg-white p-4 sm:p-5 rounded-3xl shadow-sm border border-slate-200">
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
@@ -554,7 +1701,7 @@ export default function SolarSimulator() {
                             type="range" min="10" max="90" step="5"
                             value={dayUsagePercent}
                             onChange={(e) => setDayUsagePercent(Number(e.target.value))}
-                            className="w-full h-2 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-[#145A0D]"
+                            className="w-full h-2 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-brand"
                         />
                         <div className="flex justify-between text-[10px] text-slate-500 mt-2">
                             <span className="flex items-center gap-1"><Sun className="w-3 h-3" /> Day</span>
@@ -563,6 +1710,21 @@ export default function SolarSimulator() {
                         <div className="mt-3 text-[11px] text-slate-500">
                             Night usage uses TNB unless a battery is installed.
                         </div>
+                        {currentLoad.dailyKwh > 0 && (
+                            <div className="mt-2 text-[11px] text-slate-500">
+                                Your appliances suggest {applianceDayPercent}% day.
+                                {dayUsagePercent !== applianceDayPercent && (
+                                    <button onClick={() => setDayUsagePercent(applianceDayPercent)} className="ml-1 font-semibold text-brand hover:underline">
+                                        Reset
+                                    </button>
+                                )}
+                            </div>
+                        )}
+                        {plannedLoad.dailyKwh > 0 && (
+                            <div className="mt-2 text-[11px] text-slate-500">
+                                Planned appliances add {plannedLoad.dailyKwh.toFixed(1)} kWh a day on their own schedules ({Math.round(plannedLoad.dayPercent)}% in daytime).
+                            </div>
+                        )}
                     </div>
                 </div>
 
@@ -571,16 +1733,20 @@ export default function SolarSimulator() {
                     <div className="bg-slate-50 border border-slate-200 rounded-2xl p-4 space-y-3">
                         <div className="text-xs font-bold text-slate-500 uppercase">Panel Type</div>
                         <div className="grid grid-cols-2 gap-2">
-                            {[615, 700].map(watt => (
+                            {PANELS.map(option => (
                                 <button
-                                    key={watt}
-                                    onClick={() => setPanelWattage(watt)}
-                                    className={`py-2 rounded-xl text-sm font-semibold border-2 transition-all ${panelWattage === watt ? 'bg-white border-[#145A0D] text-slate-800 shadow-sm' : 'border-slate-200 text-slate-500 hover:bg-white'}`}
+                                    key={option.id}
+                                    onClick={() => { setPanelId(option.id); applyPanelCount(panelCount, option); }}
+                                    className={`py-2 px-2 rounded-xl text-sm font-semibold border-2 transition-all ${panel.id === option.id ? 'bg-white border-brand text-slate-800 shadow-sm' : 'border-slate-200 text-slate-500 hover:bg-white'}`}
                                 >
-                                    {watt}W
+                                    {option.wattage}W
+                                    <div className="text-[10px] font-medium opacity-70">{option.brand} &middot; {(option.efficiency * 100).toFixed(1)}%</div>
                                 </button>
                             ))}
                         </div>
+                        <div className="text-[11px] text-slate-500">
+                            {panel.brand} {panel.model}: {(panel.degradation.firstYear * 100).toFixed(1)}% first-year then {(panel.degradation.annual * 100).toFixed(2)}%/yr degradation.
+                        </div>
 
                         <div className="pt-2">
                             <div className="flex items-center justify-between mb-2">
@@ -588,8 +1754,8 @@ export default function SolarSimulator() {
                                 <div className="flex items-center gap-2">
                                     <input
                                         type="number"
-                                        min="6"
-                                        max="40"
+                                        min={Math.min(6, maxPanels)}
+                                        max={maxPanels}
                                         step="1"
                                         value={panelCountInput}
                                         onChange={(e) => {
@@ -604,11 +1770,7 @@ export default function SolarSimulator() {
                                         }}
                                         onBlur={() => {
                                             const parsedValue = Number(panelCountInput);
-                                            const normalizedValue = Number.isNaN(parsedValue)
-                                                ? panelCount
-                                                : Math.min(40, Math.max(6, parsedValue));
-                                            setPanelCount(normalizedValue);
-                                            setPanelCountInput(String(normalizedValue));
+                                            applyPanelCount(Number.isNaN(parsedValue) ? panelCount : parsedValue);
                                         }}
                                         className="w-16 rounded-lg border border-slate-200 px-2 py-1 text-xs font-semibold text-slate-700"
                                     />
@@ -620,15 +1782,59 @@ export default function SolarSimulator() {
                         <div className="text-xs text-slate-600">
                             Total system size: <span className="font-semibold">{effectiveSystemSize.toFixed(1)} kWp</span>
                         </div>
+                        <div className="text-[11px] text-slate-500">
+                            Roof fits up to <span className="font-semibold">{maxPanels} panels</span> of {panelWattage}W.
+                        </div>
+                    </div>
+                </div>
+
+                <div className="md:col-span-2">
+                    <div className="flex items-center justify-between mb-3">
+                        <h3 className="text-sm font-semibold text-slate-600">3. Inverter</h3>
+                        <div className="text-[10px] font-bold text-slate-500 bg-slate-100 px-2 py-1 rounded-full">
+                            {housePhase.name}, max {housePhase.maxInverterKw} kW
+                        </div>
+                    </div>
+                    <div className="bg-slate-50 border border-slate-200 rounded-2xl p-4 space-y-3">
+                        <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+                            <button
+                                onClick={() => setInverterId(null)}
+                                className={`py-2 px-2 rounded-xl text-xs font-semibold border-2 transition-all ${inverterId === null ? 'bg-white border-brand text-slate-800 shadow-sm' : 'border-slate-200 text-slate-500 hover:bg-white'}`}
+                            >
+                                Auto
+                                <div className="text-[10px] font-medium opacity-70">{selectInverter(housePhase.id, effectiveSystemSize).ratedKw} kW</div>
+                            </button>
+                            {getInvertersForPhase(housePhase.id).map((option) => (
+                                <button
+                                    key={option.id}
+                                    onClick={() => setInverterId(option.id)}
+                                    className={`py-2 px-2 rounded-xl text-xs font-semibold border-2 transition-all ${inverterId === option.id ? 'bg-white border-brand text-slate-800 shadow-sm' : 'border-slate-200 text-slate-500 hover:bg-white'}`}
+                                >
+                                    {option.ratedKw} kW
+                                    <div className="text-[10px] font-medium opacity-70">{option.model}</div>
+                                </button>
+                            ))}
+                        </div>
+                        <div className="text-xs text-slate-600">
+                            Selected: <span className="font-semibold">{inverter.brand} {inverter.model}</span> (DC/AC ratio {(effectiveSystemSize / inverter.ratedKw).toFixed(2)})
+                        </div>
+                        {isOverPhaseLimit && (
+                            <div className="flex items-start gap-2 text-xs text-red-700 bg-red-50 border border-red-100 rounded-lg p-2">
+                                <AlertTriangle className="w-4 h-4 shrink-0" />
+                                <span>
+                                    {effectiveSystemSize.toFixed(1)} kWp exceeds the {maxSystemKwp.toFixed(1)} kWp a {housePhase.name.toLowerCase()} supply can take. Reduce panels or upgrade to three-phase.
+                                </span>
+                            </div>
+                        )}
                     </div>
                 </div>
 
                 <div className="md:col-span-2">
                     <div className="flex items-center justify-between mb-3">
-                        <h3 className="text-sm font-semibold text-slate-600">3. Battery Storage</h3>
+                        <h3 className="text-sm font-semibold text-slate-600">4. Battery Storage</h3>
                         <button
                             onClick={() => setShowBatteryInfo(true)}
-                            className="text-[10px] font-bold text-[#145A0D] flex items-center hover:underline bg-[#145A0D]/5 px-2 py-1 rounded-full transition-colors hover:bg-[#145A0D]/10"
+                            className="text-[10px] font-bold text-brand flex items-center hover:underline bg-brand/5 px-2 py-1 rounded-full transition-colors hover:bg-brand/10"
                         >
                             <HelpCircle className="w-3 h-3 mr-1" /> How it works?
                         </button>
@@ -653,10 +1859,25 @@ export default function SolarSimulator() {
                         {/* Battery Sizing Slider */}
                         {hasBattery && (
                             <div className="px-3 pb-4 pt-2 animate-in slide-in-from-top-2 fade-in">
+                                <div className="text-xs font-bold text-slate-500 uppercase mb-2">Battery Model</div>
+                                <div className="grid grid-cols-1 sm:grid-cols-3 gap-2 mb-4">
+                                    {BATTERIES.map((option) => (
+                                        <button
+                                            key={option.id}
+                                            onClick={() => setBatteryId(option.id)}
+                                            className={`py-2 px-2 rounded-lg text-left border-2 transition-all ${battery.id === option.id ? 'bg-white border-brand text-slate-800 shadow-sm' : 'bg-white border-slate-200 text-slate-500 hover:border-green-300'}`}
+                                        >
+                                            <div className="text-xs font-bold">{option.brand} {option.model}</div>
+                                            <div className="text-[10px] opacity-70">
+                                                {option.usableKwh} kWh &middot; {option.maxDischargeKw} kW &middot; {Math.round(option.roundTripEfficiency * 100)}% RTE &middot; {option.cycleLife.toLocaleString()} cycles
+                                            </div>
+                                        </button>
+                                    ))}
+                                </div>
                                 <div className="flex justify-between items-center mb-3">
                                     <span className="text-xs font-bold text-slate-500 uppercase">Select Quantity</span>
                                     <span className="text-xs font-bold text-green-700 bg-green-50 px-2 py-1 rounded-md border border-green-100">
-                                        Capacity: {batteryCapacity} kWh
+                                        Capacity: {Number(batteryCapacity.toFixed(2))} kWh
                                     </span>
                                 </div>
                                 
@@ -668,7 +1889,7 @@ export default function SolarSimulator() {
                                             className={`
                                                 h-10 rounded-lg text-sm font-bold border-2 transition-all flex flex-col items-center justify-center
                                                 ${batteryUnits === unit 
-                                                    ? 'bg-[#145A0D] border-[#145A0D] text-white shadow-md scale-105 z-10' 
+                                                    ? 'bg-brand border-brand text-white shadow-md scale-105 z-10' 
                                                     : 'bg-white border-slate-200 text-slate-400 hover:border-green-300 hover:text-green-600 hover:bg-green-50'
                                                 }
                                             `}
@@ -678,18 +1899,50 @@ export default function SolarSimulator() {
                                     ))}
                                 </div>
                                 <div className="text-center text-[10px] text-slate-400 mt-2 font-medium">
-                                    Each unit adds 10kWh of storage
+                                    Each unit adds {battery.usableKwh}kWh of storage and {battery.maxDischargeKw}kW of output
                                 </div>
                             </div>
                         )}
                     </div>
                 </div>
+
+                {evAppliances.length > 0 && (
+                    <div className="md:col-span-2">
+                        <h3 className="text-sm font-semibold text-slate-600 mb-3">5. EV Charging</h3>
+                        <div className="bg-slate-50 border border-slate-200 rounded-2xl p-4 space-y-3">
+                            <div className="grid grid-cols-2 gap-2">
+                                {EV_CHARGING_WINDOWS.map((chargingWindow) => {
+                                    const isSelected = evAppliances.every((ev) => ev.startHour === chargingWindow.startHour && ev.endHour === chargingWindow.endHour);
+                                    return (
+                                        <button
+                                            key={chargingWindow.id}
+                                            onClick={() => setEvWindow(chargingWindow)}
+                                            className={`p-3 rounded-xl border-2 text-left transition-all ${isSelected ? 'bg-white border-brand text-slate-800 shadow-sm' : 'border-slate-200 text-slate-500 hover:bg-white'}`}
+                                        >
+                                            <div className="text-sm font-bold flex items-center gap-1">
+                                                {chargingWindow.id === 'daytime' ? <Sun className="w-4 h-4" /> : <Moon className="w-4 h-4" />} {chargingWindow.name}
+                                            </div>
+                                            <div className="text-[11px] opacity-80">
+                                                {String(chargingWindow.startHour).padStart(2, '0')}:00 - {String(chargingWindow.endHour).padStart(2, '0')}:00
+                                            </div>
+                                        </button>
+                                    );
+                                })}
+                            </div>
+                            <div className="text-[11px] text-slate-500">
+                                Daytime charging soaks up solar that would otherwise be exported; overnight charging only avoids the grid with a battery. The report compares both.
+                            </div>
+                        </div>
+                    </div>
+                )}
             </div>
         </div>
 
+        {renderScenarioSaver()}
+
         <button 
             onClick={runSimulation}
-            className="w-full py-3.5 sm:py-4 bg-[#145A0D] text-white rounded-2xl text-base sm:text-lg font-bold hover:bg-[#0F450A] flex items-center justify-center transition-all shadow-lg shadow-[0_10px_20px_rgba(20,90,13,0.2)] mt-6"
+            className="w-full py-3.5 sm:py-4 bg-brand text-white rounded-2xl text-base sm:text-lg font-bold hover:bg-brand-dark flex items-center justify-center transition-all shadow-lg shadow-[0_10px_20px_color-mix(in_srgb,var(--color-brand)_20%,transparent)] mt-6"
         >
             <Zap className="mr-2 w-5 h-5 fill-white" /> Run 30-Day Simulation
         </button>
@@ -734,8 +1987,17 @@ export default function SolarSimulator() {
                </div>
 
                {/* Clouds (Parallax effect optional, keep simple for performance) */}
-               <Cloud className="absolute top-12 right-10 text-white/30 w-16 h-16" />
-               <Cloud className="absolute top-24 left-4 text-white/20 w-12 h-12" />
+               {simStats.weather === 'rainy' ? (
+                   <>
+                       <CloudRain className="absolute top-12 right-10 text-slate-200/80 w-16 h-16" />
+                       <CloudRain className="absolute top-24 left-4 text-slate-200/70 w-12 h-12" />
+                   </>
+               ) : (
+                   <>
+                       <Cloud className={`absolute top-12 right-10 w-16 h-16 ${simStats.weather === 'cloudy' ? 'text-white/70' : 'text-white/30'}`} />
+                       <Cloud className={`absolute top-24 left-4 w-12 h-12 ${simStats.weather === 'cloudy' ? 'text-white/60' : 'text-white/20'}`} />
+                   </>
+               )}
 
                {/* House Silhouette (Static Foreground) */}
                <div className="absolute bottom-0 left-0 right-0 h-24 flex items-end justify-center z-20">
@@ -769,6 +2031,9 @@ export default function SolarSimulator() {
                      <div className="text-3xl font-mono font-bold text-slate-800 tabular-nums">
                         Day {Math.min(30, Math.floor((simProgress / 100) * 30))}
                      </div>
+                     {simStats.weather && (
+                        <div className="text-xs font-semibold text-slate-500">{WEATHER_TYPES[simStats.weather].label}</div>
+                     )}
                 </div>
             </div>
 
@@ -777,15 +2042,15 @@ export default function SolarSimulator() {
                  {/* Solar Production */}
                  <div className="bg-[#E9F5E7] p-4 rounded-xl border border-[#D7EED4] flex items-center justify-between">
                      <div className="flex items-center gap-3">
-                         <div className="p-2 bg-[#D7EED4] rounded-lg text-[#145A0D]">
+                         <div className="p-2 bg-[#D7EED4] rounded-lg text-brand">
                              <Sun className="w-5 h-5" />
                          </div>
                          <div>
-                             <div className="text-xs font-bold text-[#145A0D] uppercase">Generated</div>
-                             <div className="text-sm text-[#145A0D]/70">Potential Energy</div>
+                             <div className="text-xs font-bold text-brand uppercase">Generated</div>
+                             <div className="text-sm text-brand/70">Potential Energy</div>
                          </div>
                      </div>
-                     <div className="text-xl font-bold text-[#145A0D] tabular-nums">
+                     <div className="text-xl font-bold text-brand tabular-nums">
                          {Math.round(simStats.solarGenerated)} <span className="text-xs font-medium">kWh</span>
                      </div>
                  </div>
@@ -817,11 +2082,27 @@ export default function SolarSimulator() {
                              <div className="text-sm text-green-800/70">{hasBattery ? 'Battery + Direct' : 'Self-Consumption'}</div>
                          </div>
                      </div>
-                     <div className="text-xl font-bold text-green-700 tabular-nums">
-                         {Math.round(simStats.houseConsumed - simStats.gridImport)} <span className="text-xs font-medium">kWh</span>
+                     <div className="text-right">
+                         <div className="text-xl font-bold text-green-700 tabular-nums">
+                             {Math.round(simStats.houseConsumed - simStats.gridImport)} <span className="text-xs font-medium">kWh</span>
+                         </div>
+                         {hasBattery && (
+                             <div className="text-[10px] font-semibold text-green-800/70 tabular-nums">Battery {Math.round(simStats.tankLevel)}%</div>
+                         )}
                      </div>
                  </div>
             </div>
+
+            {/* Day-by-day Weather */}
+            <div className="grid grid-cols-10 gap-1">
+                {simDays.map((d) => (
+                    <div
+                        key={d.day}
+                        title={`Day ${d.day}: ${WEATHER_TYPES[d.weather].label}`}
+                        className={`h-2 rounded-full transition-colors ${d.day > Math.ceil((simProgress / 100) * 30) ? 'bg-slate-100' : d.weather === 'sunny' ? 'bg-yellow-400' : d.weather === 'cloudy' ? 'bg-slate-400' : 'bg-blue-500'}`}
+                    ></div>
+                ))}
+            </div>
             
             {/* Progress Bar */}
             <div className="w-full bg-slate-100 h-2 rounded-full overflow-hidden">
@@ -843,20 +2124,59 @@ export default function SolarSimulator() {
         : 0;
 
     const savingsAmount = Math.max(0, Math.round(finalReport.monthlySavings));
-    const formula = computeFormula();
+    const formula = computeFormula(system);
+    const maxDailyKwh = Math.max(0.1, ...finalReport.days.map((d) => d.solar));
+    const { upfront, returns } = priceConfiguration(system, formula, reportSettings);
+    const financingOptions = compareFinancing(
+        upfront.total,
+        Math.max(0, finalReport.monthlySavings),
+        buildFinancingPlans(financing)
+    );
+    const maxCumulative = Math.max(1, ...returns.timeline.map((y) => Math.abs(y.cumulative)), upfront.total);
+
+    const maxMonthlyKwh = Math.max(0.1, ...formula.monthly.map((m) => Math.max(m.generationKwh, m.importKwh, m.exportKwh)));
+    const maxHourlyKwh = Math.max(0.1, ...formula.dailyProfile.map((h) => Math.max(h.solar, h.load)));
+
+    // Same system with the EV moved to each charging window
+    const evComparison = formula.ev
+        ? EV_CHARGING_WINDOWS.map((chargingWindow) => {
+            const variant = computeFormula(system, {
+                appliances: audit.appliances.map((appliance) => (
+                    appliance.type === 'ev' ? {...appliance, startHour: chargingWindow.startHour, endHour: chargingWindow.endHour} : appliance
+                ))
+            });
+            return { ...chargingWindow, ev: variant.ev, bill: variant.monthlyTnbCost };
+        })
+        : [];
+    const cheapestEvBill = Math.min(...evComparison.map((option) => option.bill));
 
     const isTrapDetected = finalReport.lossAmount > 50;
 
     return (
       <div className="space-y-6 animate-in slide-in-from-bottom-8 duration-700 pb-10">
+
+        {isSharedView && (
+            <div className="bg-brand/10 border border-brand/20 rounded-2xl p-4 flex items-center justify-between gap-3">
+                <div>
+                    <div className="text-sm font-bold text-brand flex items-center"><Link2 className="w-4 h-4 mr-1" /> Shared Report</div>
+                    <div className="text-xs text-slate-600">View only. Modify to try a different system with these details.</div>
+                </div>
+                <button
+                    onClick={modifySharedReport}
+                    className="px-4 py-2 rounded-xl bg-brand text-white text-sm font-bold hover:bg-brand-dark transition-all flex items-center gap-1 shrink-0"
+                >
+                    <PencilLine className="w-4 h-4" /> Modify
+                </button>
+            </div>
+        )}
         
         {/* Section 1: Selected Configuration */}
         <div className="bg-white p-4 sm:p-6 rounded-3xl shadow-xl border border-slate-200">
              <div className="flex items-center justify-between mb-5">
                 <h2 className="text-lg sm:text-xl font-bold text-slate-800 flex items-center">
-                    <PiggyBank className="w-5 h-5 mr-2 text-[#145A0D]"/> Your Configuration
+                    <PiggyBank className="w-5 h-5 mr-2 text-brand"/> Your Configuration
                 </h2>
-                <div className="bg-[#145A0D]/10 text-[#145A0D] px-3 py-1 rounded-lg text-xs font-bold border border-[#145A0D]/20">
+                <div className="bg-brand/10 text-brand px-3 py-1 rounded-lg text-xs font-bold border border-brand/20">
                     Solar Applied
                 </div>
              </div>
@@ -864,15 +2184,25 @@ export default function SolarSimulator() {
              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
                 <div className="bg-slate-50 rounded-xl p-3 border border-slate-200">
                     <div className="text-[10px] font-bold text-slate-500 uppercase">Monthly Usage</div>
-                    <div className="text-lg font-bold text-slate-800">{audit.monthlyKwh} kW</div>
-                    {adjustedMonthlyKwh !== audit.monthlyKwh && (
+                    <div className="text-lg font-bold text-slate-800">{baseMonthlyKwh} kW</div>
+                    {usageSummary && (
+                        <div className="text-xs text-slate-500">Basis: {usageBasis.name} of {usageSummary.count} month{usageSummary.count > 1 ? 's' : ''}</div>
+                    )}
+                    {adjustedMonthlyKwh !== baseMonthlyKwh && (
                         <div className="text-xs text-slate-500">Adjusted: {adjustedMonthlyKwh} kW</div>
                     )}
                 </div>
                 <div className="bg-slate-50 rounded-xl p-3 border border-slate-200">
                     <div className="text-[10px] font-bold text-slate-500 uppercase">System Size</div>
                     <div className="text-lg font-bold text-slate-800">{effectiveSystemSize.toFixed(1)} kWp</div>
-                    <div className="text-xs text-slate-500">{panelWattage}W x {panelCount} pcs</div>
+                    <div className="text-xs text-slate-500">{panel.brand} {panelWattage}W x {panelCount} pcs</div>
+                </div>
+                <div className="bg-slate-50 rounded-xl p-3 border border-slate-200 sm:col-span-2">
+                    <div className="text-[10px] font-bold text-slate-500 uppercase">Inverter</div>
+                    <div className="text-lg font-bold text-slate-800">{formula.inverter.brand} {formula.inverter.model}</div>
+                    <div className="text-xs text-slate-500">
+                        {formula.inverter.ratedKw} kW, {housePhase.name.toLowerCase()} &middot; clipping loss {formula.dailyClippedKwh > 0 ? `${(formula.dailyClippedKwh * 30).toFixed(0)} kWh / month (${((formula.dailyClippedKwh / formula.G) * 100).toFixed(1)}%)` : 'none'}
+                    </div>
                 </div>
                 <div className="bg-slate-50 rounded-xl p-3 border border-slate-200">
                     <div className="text-[10px] font-bold text-slate-500 uppercase">Day vs Night</div>
@@ -882,7 +2212,7 @@ export default function SolarSimulator() {
                 <div className="bg-slate-50 rounded-xl p-3 border border-slate-200">
                     <div className="text-[10px] font-bold text-slate-500 uppercase">Battery</div>
                     <div className="text-lg font-bold text-slate-800">{hasBattery ? `${batteryUnits} unit${batteryUnits > 1 ? 's' : ''}` : 'None'}</div>
-                    <div className="text-xs text-slate-500">{hasBattery ? `${batteryCapacity} kWh total` : 'No storage selected'}</div>
+                    <div className="text-xs text-slate-500">{hasBattery ? `${battery.brand} ${battery.model}, ${Number(batteryCapacity.toFixed(2))} kWh total` : 'No storage selected'}</div>
                 </div>
              </div>
         </div>
@@ -897,16 +2227,16 @@ export default function SolarSimulator() {
                 <div className="md:col-span-2 rounded-2xl p-4 border border-slate-200 bg-white/70">
                     <div className="text-[10px] font-bold text-slate-500 uppercase">Before (TNB)</div>
                     <div className="mt-2 text-2xl font-bold text-slate-800">RM {Math.round(finalReport.oldBill)}</div>
-                    <div className="text-xs text-slate-500">{audit.monthlyKwh} kW usage</div>
+                    <div className="text-xs text-slate-500">{baseMonthlyKwh} kW usage{usageSummary && usageBasis.id === 'monthly' ? ', yearly average' : ''}</div>
                 </div>
 
                 <div className="hidden md:flex items-center justify-center">
-                    <div className="w-10 h-10 rounded-full bg-[#145A0D]/10 text-[#145A0D] flex items-center justify-center">
+                    <div className="w-10 h-10 rounded-full bg-brand/10 text-brand flex items-center justify-center">
                         <ArrowRight className="w-5 h-5" />
                     </div>
                 </div>
 
-                <div className="md:col-span-2 rounded-2xl p-4 border border-[#145A0D]/20 bg-gradient-to-br from-[#145A0D] via-[#145A0D] to-[#0F450A] text-white shadow-[0_12px_24px_rgba(20,90,13,0.2)]">
+                <div className="md:col-span-2 rounded-2xl p-4 border border-brand/20 bg-gradient-to-br from-brand via-brand to-brand-dark text-white shadow-[0_12px_24px_color-mix(in_srgb,var(--color-brand)_20%,transparent)]">
                     <div className="text-[10px] font-bold uppercase text-emerald-100">After (TNB)</div>
                     <div className="mt-2 text-2xl font-bold">RM {Math.round(finalReport.newBill)}</div>
                     <div className="text-xs text-emerald-100">Estimated after solar</div>
@@ -919,11 +2249,74 @@ export default function SolarSimulator() {
             </div>
         </div>
 
-        {/* Section 3: How This Estimate Works */}
+        {/* Section 3: 30-Day Simulation */}
+        <div className="bg-white p-4 sm:p-6 rounded-3xl shadow-sm border border-slate-200">
+            <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-bold text-slate-800">Your 30-Day Simulation</h3>
+                <div className="flex items-center gap-3 text-[10px] font-semibold text-slate-500">
+                    {Object.entries(WEATHER_TYPES).map(([type, weather]) => (
+                        <span key={type}>{finalReport.days.filter((d) => d.weather === type).length} {weather.label}</span>
+                    ))}
+                </div>
+            </div>
+            <div className="flex items-end gap-0.5 h-20">
+                {finalReport.days.map((d) => (
+                    <div key={d.day} className="flex-1 h-full flex flex-col justify-end" title={`Day ${d.day} (${WEATHER_TYPES[d.weather].label}): ${d.solar.toFixed(1)} kWh solar, ${d.import.toFixed(1)} kWh from TNB`}>
+                        <div className="bg-yellow-400 rounded-t-sm" style={{ height: `${(d.solar / maxDailyKwh) * 100}%` }}></div>
+                        <div className={`h-1.5 mt-0.5 rounded-sm ${d.weather === 'sunny' ? 'bg-yellow-200' : d.weather === 'cloudy' ? 'bg-slate-300' : 'bg-blue-300'}`}></div>
+                    </div>
+                ))}
+            </div>
+            <div className="mt-3 grid grid-cols-3 gap-2 text-center">
+                <div className="rounded-xl bg-slate-50 border border-slate-200 p-2">
+                    <div className="text-[10px] font-bold text-slate-500 uppercase">Generated</div>
+                    <div className="text-sm font-bold text-slate-800">{Math.round(finalReport.totalGenerated)} kWh</div>
+                </div>
+                <div className="rounded-xl bg-slate-50 border border-slate-200 p-2">
+                    <div className="text-[10px] font-bold text-slate-500 uppercase">Self-Used</div>
+                    <div className="text-sm font-bold text-slate-800">{Math.round(finalReport.totalUsed)} kWh</div>
+                </div>
+                <div className="rounded-xl bg-slate-50 border border-slate-200 p-2">
+                    <div className="text-[10px] font-bold text-slate-500 uppercase">Exported</div>
+                    <div className="text-sm font-bold text-slate-800">{Math.round(finalReport.totalExported)} kWh</div>
+                </div>
+            </div>
+        </div>
+
+        {/* Section 4: Month-by-Month */}
+        <div className="bg-white p-4 sm:p-6 rounded-3xl shadow-sm border border-slate-200">
+            <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-bold text-slate-800">Month by Month</h3>
+                <div className="text-xs font-bold uppercase text-slate-500">{region.name}</div>
+            </div>
+            <div className="flex items-center gap-3 mb-3 text-[10px] font-semibold text-slate-500">
+                <span className="flex items-center gap-1"><span className="w-2 h-2 rounded-sm bg-yellow-400"></span> Generation</span>
+                <span className="flex items-center gap-1"><span className="w-2 h-2 rounded-sm bg-red-400"></span> Import</span>
+                <span className="flex items-center gap-1"><span className="w-2 h-2 rounded-sm bg-blue-400"></span> Export</span>
+            </div>
+            <div className="grid grid-cols-12 gap-1">
+                {formula.monthly.map((m) => (
+                    <div key={m.month} className="flex flex-col items-center" title={`${m.month}: ${m.usageKwh.toFixed(0)} kWh used, ${m.generationKwh.toFixed(0)} kWh solar, ${m.importKwh.toFixed(0)} kWh import, ${m.exportKwh.toFixed(0)} kWh export, RM ${m.bill.toFixed(0)} bill`}>
+                        <div className="w-full h-28 flex items-end justify-center gap-px">
+                            <div className="flex-1 bg-yellow-400 rounded-t-sm" style={{ height: `${(m.generationKwh / maxMonthlyKwh) * 100}%` }}></div>
+                            <div className="flex-1 bg-red-400 rounded-t-sm" style={{ height: `${(m.importKwh / maxMonthlyKwh) * 100}%` }}></div>
+                            <div className="flex-1 bg-blue-400 rounded-t-sm" style={{ height: `${(m.exportKwh / maxMonthlyKwh) * 100}%` }}></div>
+                        </div>
+                        <div className="mt-1 text-[10px] font-bold text-slate-500">{m.month}</div>
+                        <div className="text-[9px] sm:text-[10px] font-semibold text-slate-700 tabular-nums">RM{Math.round(m.bill)}</div>
+                    </div>
+                ))}
+            </div>
+            <div className="mt-3 text-xs text-slate-500">
+                Bills range from <span className="font-semibold text-slate-700">RM {Math.round(Math.min(...formula.monthly.map((m) => m.bill)))}</span> to <span className="font-semibold text-slate-700">RM {Math.round(Math.max(...formula.monthly.map((m) => m.bill)))}</span> through the year as monsoon months cut generation{usageSummary && usageBasis.id === 'monthly' ? ' and your usage changes with the seasons' : ''}.
+            </div>
+        </div>
+
+        {/* Section 5: How This Estimate Works */}
         <div className="bg-white p-4 sm:p-6 rounded-3xl shadow-sm border border-slate-200">
             <div className="flex items-center justify-between mb-4">
                 <h3 className="text-lg font-bold text-slate-800">How This Estimate Works</h3>
-                <div className="text-xs font-bold uppercase text-slate-500">Simple View</div>
+                <div className="text-xs font-bold uppercase text-slate-500">{tariff.name}</div>
             </div>
 
             <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
@@ -931,11 +2324,17 @@ export default function SolarSimulator() {
                     <div className="text-xs font-bold text-slate-500 uppercase">Your Monthly Use</div>
                     <div className="mt-1 text-lg font-bold text-slate-800">{formula.A.toFixed(0)} kWh</div>
                     <div className="text-xs text-slate-500">Day {dayUsagePercent}% / Night {100 - dayUsagePercent}%</div>
+                    <div className="text-xs text-slate-500">
+                        {usageSummary
+                            ? `${usageBasis.name} basis from ${usageSummary.count} month${usageSummary.count > 1 ? 's' : ''} of history (peak ${Math.round(usageSummary.peak)} kWh in ${usageSummary.peakMonth})`
+                            : 'Single monthly figure'}
+                    </div>
                 </div>
                 <div className="rounded-2xl border border-slate-200 bg-slate-50 p-4">
                     <div className="text-xs font-bold text-slate-500 uppercase">Solar Output (Daily)</div>
                     <div className="mt-1 text-lg font-bold text-slate-800">{formula.G.toFixed(1)} kWh</div>
-                    <div className="text-xs text-slate-500">{panelCount} panels @ {panelWattage}W</div>
+                    <div className="text-xs text-slate-500">{panelCount} panels @ {panelWattage}W, {formula.F.toFixed(2)} kWh/kWp in {region.name}</div>
+                    <div className="text-xs text-slate-500">Roof losses {Math.round((1 - roofDerating.factor) * 100)}% (tilt {audit.roofTilt}°, facing {audit.roofFacing}, {audit.shading} shading)</div>
                 </div>
                 <div className="rounded-2xl border border-slate-200 bg-slate-50 p-4">
                     <div className="text-xs font-bold text-slate-500 uppercase">Battery Capacity</div>
@@ -944,9 +2343,325 @@ export default function SolarSimulator() {
                 <div className="rounded-2xl border border-slate-200 bg-slate-50 p-4">
                     <div className="text-xs font-bold text-slate-500 uppercase">Grid Purchase</div>
                     <div className="mt-1 text-lg font-bold text-slate-800">{formula.monthlyTnbCost.toFixed(0)} RM / month</div>
-                    <div className="text-xs text-slate-500">RM {formula.K.toFixed(2)} / kWh</div>
+                    <div className="text-xs text-slate-500">{formula.monthlyImportKwh.toFixed(0)} kWh imported / month</div>
+                </div>
+            </div>
+
+            {/* Typical Day (Hourly Balance) */}
+            <div className="mt-4 rounded-2xl border border-slate-200 p-4">
+                <div className="flex items-center justify-between mb-3">
+                    <div className="text-xs font-bold text-slate-500 uppercase">Typical Day</div>
+                    <div className="flex items-center gap-3 text-[10px] font-semibold text-slate-500">
+                        <span className="flex items-center gap-1"><span className="w-2 h-2 rounded-sm bg-yellow-400"></span> Solar</span>
+                        <span className="flex items-center gap-1"><span className="w-2 h-2 rounded-sm bg-slate-400"></span> Usage</span>
+                        <span className="flex items-center gap-1"><span className="w-2 h-2 rounded-sm bg-red-400"></span> From TNB</span>
+                    </div>
+                </div>
+                <div className="flex items-end gap-0.5 h-24">
+                    {formula.dailyProfile.map((h) => (
+                        <div key={h.hour} className="flex-1 h-full flex items-end gap-px" title={`${h.hour}:00 - Solar ${h.solar.toFixed(2)} kWh, Usage ${h.load.toFixed(2)} kWh`}>
+                            <div className="flex-1 bg-yellow-400 rounded-t-sm" style={{ height: `${(h.solar / maxHourlyKwh) * 100}%` }}></div>
+                            <div className="flex-1 flex flex-col justify-end rounded-t-sm overflow-hidden bg-slate-400" style={{ height: `${(h.load / maxHourlyKwh) * 100}%` }}>
+                                <div className="bg-red-400" style={{ height: `${h.load > 0 ? (h.import / h.load) * 100 : 0}%` }}></div>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+                <div className="flex justify-between text-[10px] text-slate-400 mt-1">
+                    <span>12am</span><span>6am</span><span>12pm</span><span>6pm</span><span>12am</span>
+                </div>
+                <div className="mt-2 text-xs text-slate-500">
+                    Solar covers <span className="font-semibold text-slate-700">{formula.dailySelfConsumedKwh.toFixed(1)} kWh</span> of your {(formula.A / 30).toFixed(1)} kWh daily use{hasBattery ? ' (including battery)' : ''}.
+                </div>
+            </div>
+
+            {/* Tariff Block Breakdown */}
+            <div className="mt-4 rounded-2xl border border-slate-200 overflow-hidden">
+                <div className="grid grid-cols-5 gap-2 px-4 py-2 bg-slate-50 text-[10px] font-bold uppercase text-slate-500">
+                    <div className="col-span-2">Tariff Block</div>
+                    <div className="text-right">Before</div>
+                    <div className="text-right">After</div>
+                    <div className="text-right">Rate</div>
+                </div>
+                {formula.beforeBreakdown.map((row, index) => {
+                    const afterRow = formula.afterBreakdown[index];
+                    return (
+                        <div key={row.key} className="grid grid-cols-5 gap-2 px-4 py-2 border-t border-slate-100 text-xs text-slate-600">
+                            <div className="col-span-2 font-semibold text-slate-700">{row.label}</div>
+                            <div className="text-right tabular-nums">
+                                {row.kwh.toFixed(0)} kWh
+                                <div className="text-[10px] text-slate-400">RM {row.cost.toFixed(2)}</div>
+                            </div>
+                            <div className="text-right tabular-nums">
+                                {afterRow.kwh.toFixed(0)} kWh
+                                <div className="text-[10px] text-slate-400">RM {afterRow.cost.toFixed(2)}</div>
+                            </div>
+                            <div className="text-right tabular-nums">RM {row.rate.toFixed(3)}</div>
+                        </div>
+                    );
+                })}
+                {tariff.fixedCharges.map((charge) => (
+                    <div key={charge.label} className="grid grid-cols-5 gap-2 px-4 py-2 border-t border-slate-100 text-xs text-slate-600">
+                        <div className="col-span-2 font-semibold text-slate-700">{charge.label}</div>
+                        <div className="text-right tabular-nums">RM {charge.amount.toFixed(2)}</div>
+                        <div className="text-right tabular-nums">RM {charge.amount.toFixed(2)}</div>
+                        <div className="text-right tabular-nums">Fixed</div>
+                    </div>
+                ))}
+                {(formula.beforeMinimumTopUp > 0 || formula.minimumTopUp > 0) && (
+                    <div className="grid grid-cols-5 gap-2 px-4 py-2 border-t border-slate-100 text-xs text-slate-600">
+                        <div className="col-span-2 font-semibold text-slate-700">Minimum Charge Top-up</div>
+                        <div className="text-right tabular-nums">RM {formula.beforeMinimumTopUp.toFixed(2)}</div>
+                        <div className="text-right tabular-nums">RM {formula.minimumTopUp.toFixed(2)}</div>
+                        <div className="text-right tabular-nums">Min RM {tariff.minimumCharge.toFixed(2)}</div>
+                    </div>
+                )}
+                <div className="grid grid-cols-5 gap-2 px-4 py-2 border-t border-slate-100 text-xs text-slate-600">
+                    <div className="col-span-2 font-semibold text-slate-700">Export Credit</div>
+                    <div className="text-right tabular-nums">-</div>
+                    <div className="text-right tabular-nums">
+                        {formula.monthlyExportKwh.toFixed(0)} kWh
+                        <div className="text-[10px] text-slate-400">- RM {formula.exportCredit.toFixed(2)}</div>
+                    </div>
+                    <div className="text-right tabular-nums">RM {formula.K.toFixed(3)}</div>
+                </div>
+                <div className="grid grid-cols-5 gap-2 px-4 py-2 border-t border-slate-200 bg-slate-50 text-xs font-bold text-slate-800">
+                    <div className="col-span-2">Monthly Bill</div>
+                    <div className="text-right tabular-nums">RM {formula.beforeBill.toFixed(2)}</div>
+                    <div className="text-right tabular-nums">RM {formula.monthlyTnbCost.toFixed(2)}</div>
+                    <div></div>
+                </div>
+            </div>
+        </div>
+
+        {formula.ev && (
+            <>
+            {/* Section 6: EV Charging */}
+            <div className="bg-white p-4 sm:p-6 rounded-3xl shadow-sm border border-slate-200">
+                <div className="flex items-center justify-between mb-4">
+                    <h3 className="text-lg font-bold text-slate-800">EV Charging</h3>
+                    <div className="text-xs font-bold uppercase text-slate-500">{formula.ev.load.toFixed(1)} kWh / day</div>
+                </div>
+                <div className="flex h-4 rounded-full overflow-hidden bg-slate-100">
+                    <div className="bg-yellow-400" style={{ width: `${(formula.ev.solar / formula.ev.load) * 100}%` }}></div>
+                    <div className="bg-green-500" style={{ width: `${(formula.ev.battery / formula.ev.load) * 100}%` }}></div>
+                    <div className="bg-red-400" style={{ width: `${(formula.ev.grid / formula.ev.load) * 100}%` }}></div>
+                </div>
+                <div className="mt-2 grid grid-cols-3 gap-2 text-xs">
+                    <div><span className="inline-block w-2 h-2 rounded-sm bg-yellow-400 mr-1"></span>Solar <span className="font-semibold text-slate-700">{formula.ev.solar.toFixed(1)} kWh</span></div>
+                    <div><span className="inline-block w-2 h-2 rounded-sm bg-green-500 mr-1"></span>Battery <span className="font-semibold text-slate-700">{formula.ev.battery.toFixed(1)} kWh</span></div>
+                    <div><span className="inline-block w-2 h-2 rounded-sm bg-red-400 mr-1"></span>TNB <span className="font-semibold text-slate-700">{formula.ev.grid.toFixed(1)} kWh</span></div>
+                </div>
+
+                <div className="mt-4 rounded-2xl border border-slate-200 overflow-hidden">
+                    <div className="grid grid-cols-5 gap-2 px-4 py-2 bg-slate-50 text-[10px] font-bold uppercase text-slate-500">
+                        <div className="col-span-2">Charging Window</div>
+                        <div className="text-right">Solar + Battery</div>
+                        <div className="text-right">From TNB</div>
+                        <div className="text-right">Monthly Bill</div>
+                    </div>
+                    {evComparison.map((option) => (
+                        <div key={option.id} className="grid grid-cols-5 gap-2 px-4 py-2 border-t border-slate-200 text-xs text-slate-700">
+                            <div className="col-span-2 font-semibold">
+                                {option.name}
+                                <span className="block text-[10px] font-normal text-slate-500">{String(option.startHour).padStart(2, '0')}:00 - {String(option.endHour).padStart(2, '0')}:00</span>
+                            </div>
+                            <div className="text-right tabular-nums">{Math.round(((option.ev.solar + option.ev.battery) / option.ev.load) * 100)}%</div>
+                            <div className="text-right tabular-nums">{(option.ev.grid * 30).toFixed(0)} kWh</div>
+                            <div className={`text-right tabular-nums ${option.bill === cheapestEvBill ? 'font-bold text-brand' : ''}`}>RM {option.bill.toFixed(0)}</div>
+                        </div>
+                    ))}
+                </div>
+                <div className="mt-3 text-xs text-slate-500">
+                    TNB figures are per month; bills include the rest of the house on the same system.
+                </div>
+            </div>
+            </>
+        )}
+
+        {/* Section 7: Investment & Returns */}
+        <div className="bg-white p-4 sm:p-6 rounded-3xl shadow-sm border border-slate-200">
+            <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-bold text-slate-800">Investment &amp; Returns</h3>
+                <div className="flex gap-1">
+                    {PRICING.horizons.map((years) => (
+                        <button
+                            key={years}
+                            onClick={() => setReturnsHorizon(years)}
+                            className={`px-2.5 py-1 rounded-lg text-xs font-bold transition-all ${returnsHorizon === years ? 'bg-brand text-white' : 'bg-slate-100 text-slate-500 hover:bg-slate-200'}`}
+                        >
+                            {years} yrs
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <div className="rounded-2xl border border-slate-200 overflow-hidden">
+                {upfront.lineItems.map((item) => (
+                    <div key={item.label} className="flex justify-between px-4 py-2 border-b border-slate-100 text-xs text-slate-600">
+                        <span>{item.label}</span>
+                        <span className="tabular-nums">RM {Math.round(item.amount).toLocaleString()}</span>
+                    </div>
+                ))}
+                {upfront.discounts.map((discount) => (
+                    <div key={discount.id} className="flex justify-between px-4 py-2 border-b border-slate-100 text-xs text-brand">
+                        <span>{discount.label}</span>
+                        <span className="tabular-nums">- RM {Math.round(discount.amount).toLocaleString()}</span>
+                    </div>
+                ))}
+                <div className="flex justify-between px-4 py-2 bg-slate-50 text-sm font-bold text-slate-800">
+                    <span>Upfront Cost</span>
+                    <span className="tabular-nums">RM {Math.round(upfront.total).toLocaleString()}</span>
+                </div>
+                <div className="flex justify-between px-4 py-2 border-t border-slate-100 text-[11px] text-slate-500">
+                    <span>Booking deposit RM {upfront.deposit.toLocaleString()}, balance on proposal approval</span>
+                    <span className="tabular-nums">RM {Math.round(upfront.balanceDue).toLocaleString()}</span>
+                </div>
+            </div>
+
+            {!isSharedView && (
+            <div className="flex flex-wrap gap-2 mt-3">
+                {PROMOTIONS.filter((promo) => !promo.requiresBattery || hasBattery).map((promo) => (
+                    <button
+                        key={promo.id}
+                        onClick={() => setPromoIds(promoIds.includes(promo.id) ? promoIds.filter((id) => id !== promo.id) : [...promoIds, promo.id])}
+                        className={`px-3 py-1 rounded-full text-[11px] font-bold border transition-all ${promoIds.includes(promo.id) ? 'bg-brand/10 border-brand/30 text-brand' : 'border-slate-200 text-slate-400 hover:bg-slate-50'}`}
+                    >
+                        {promoIds.includes(promo.id) && <Check className="w-3 h-3 inline mr-1" />}{promo.label}
+                    </button>
+                ))}
+            </div>
+            )}
+
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mt-4">
+                <div className="rounded-xl bg-slate-50 border border-slate-200 p-3">
+                    <div className="text-[10px] font-bold text-slate-500 uppercase">Simple Payback</div>
+                    <div className="text-lg font-bold text-slate-800">{returns.simplePaybackYears !== null ? `${returns.simplePaybackYears.toFixed(1)} yrs` : 'n/a'}</div>
+                </div>
+                <div className="rounded-xl bg-slate-50 border border-slate-200 p-3">
+                    <div className="text-[10px] font-bold text-slate-500 uppercase">IRR</div>
+                    <div className="text-lg font-bold text-slate-800">{returns.irr !== null ? `${(returns.irr * 100).toFixed(1)}%` : 'n/a'}</div>
+                </div>
+                <div className="rounded-xl bg-slate-50 border border-slate-200 p-3">
+                    <div className="text-[10px] font-bold text-slate-500 uppercase">NPV @ {Math.round(PRICING.discountRate * 100)}%</div>
+                    <div className="text-lg font-bold text-slate-800">RM {Math.round(returns.npv).toLocaleString()}</div>
+                </div>
+                <div className="rounded-xl bg-slate-50 border border-slate-200 p-3">
+                    <div className="text-[10px] font-bold text-slate-500 uppercase">{returnsHorizon}-Year Savings</div>
+                    <div className="text-lg font-bold text-brand">RM {Math.round(returns.totalSavings).toLocaleString()}</div>
+                </div>
+            </div>
+
+            {/* Cumulative cash position by year */}
+            <div className="mt-4">
+                <div className="text-xs font-bold text-slate-500 uppercase mb-2">Cumulative Savings</div>
+                <div className="flex items-center gap-px h-32">
+                    {returns.timeline.map((y) => (
+                        <div key={y.year} className="flex-1 h-full flex flex-col" title={`Year ${y.year}: RM ${Math.round(y.cumulative).toLocaleString()}`}>
+                            <div className="flex-1 flex items-end">
+                                {y.cumulative > 0 && <div className="w-full bg-brand rounded-t-sm" style={{ height: `${(y.cumulative / maxCumulative) * 100}%` }}></div>}
+                            </div>
+                            <div className="flex-1 flex items-start border-t border-slate-300">
+                                {y.cumulative < 0 && <div className="w-full bg-red-400 rounded-b-sm" style={{ height: `${(-y.cumulative / maxCumulative) * 100}%` }}></div>}
+                            </div>
+                        </div>
+                    ))}
+                </div>
+                <div className="flex justify-between text-[10px] text-slate-400 mt-1">
+                    <span>Year 1</span>
+                    <span>{returns.breakEvenYear ? `Break-even in year ${returns.breakEvenYear}` : 'No break-even'}</span>
+                    <span>Year {returnsHorizon}</span>
+                </div>
+                <div className="mt-2 text-[11px] text-slate-500">
+                    Assumes {Math.round(PRICING.tariffEscalation * 100)}% yearly tariff increases, {panel.brand} panel degradation, and inverter{hasBattery ? ' and battery' : ''} replacement at end of life.
+                </div>
+            </div>
+        </div>
+
+        {/* Section 8: Financing Options */}
+        <div className="bg-white p-4 sm:p-6 rounded-3xl shadow-sm border border-slate-200">
+            <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-bold text-slate-800 flex items-center">
+                    <CreditCard className="w-5 h-5 mr-2 text-brand"/> Ways to Pay
+                </h3>
+                <div className="text-xs font-bold uppercase text-slate-500">Monthly</div>
+            </div>
+
+            {!isSharedView && (
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 mb-4">
+                <div>
+                    <div className="text-[10px] font-bold text-slate-500 uppercase mb-1">Card Instalment</div>
+                    <select
+                        value={financing.cardMonths}
+                        onChange={(e) => setFinancing({...financing, cardMonths: Number(e.target.value)})}
+                        className="w-full rounded-lg border border-slate-200 px-2 py-1.5 text-xs font-semibold text-slate-700 bg-white"
+                    >
+                        {CARD_INSTALMENT_MONTHS.map((months) => (
+                            <option key={months} value={months}>{months} months</option>
+                        ))}
+                    </select>
+                </div>
+                <div>
+                    <div className="text-[10px] font-bold text-slate-500 uppercase mb-1">Loan Rate (% p.a. flat)</div>
+                    <input
+                        type="number" min="0" max="15" step="0.1"
+                        value={Number((financing.loanRate * 100).toFixed(2))}
+                        onChange={(e) => {
+                            const parsedValue = Number(e.target.value);
+                            if (!Number.isNaN(parsedValue)) setFinancing({...financing, loanRate: Math.min(15, Math.max(0, parsedValue)) / 100});
+                        }}
+                        className="w-full rounded-lg border border-slate-200 px-2 py-1.5 text-xs font-semibold text-slate-700"
+                    />
+                </div>
+                <div>
+                    <div className="text-[10px] font-bold text-slate-500 uppercase mb-1">Loan Tenure (years)</div>
+                    <input
+                        type="number" min="1" max="15" step="1"
+                        value={financing.loanYears}
+                        onChange={(e) => {
+                            const parsedValue = Number(e.target.value);
+                            if (!Number.isNaN(parsedValue)) setFinancing({...financing, loanYears: Math.min(15, Math.max(1, Math.round(parsedValue)))});
+                        }}
+                        className="w-full rounded-lg border border-slate-200 px-2 py-1.5 text-xs font-semibold text-slate-700"
+                    />
                 </div>
             </div>
+            )}
+
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                {financingOptions.map((option) => (
+                    <div key={option.id} className="rounded-2xl border border-slate-200 bg-slate-50 p-4 space-y-2">
+                        <div>
+                            <div className="text-sm font-bold text-slate-800">{option.name}</div>
+                            <div className="text-[11px] text-slate-500">
+                                {option.type === 'cash' ? 'Pay upfront' : `${option.months} months${option.annualRate > 0 ? ` @ ${(option.annualRate * 100).toFixed(1)}% flat` : ''}`}
+                            </div>
+                        </div>
+                        <div className="flex justify-between text-xs text-slate-600">
+                            <span>Upfront</span>
+                            <span className="font-semibold tabular-nums">RM {Math.round(option.upfront).toLocaleString()}</span>
+                        </div>
+                        <div className="flex justify-between text-xs text-slate-600">
+                            <span>Repayment</span>
+                            <span className="font-semibold tabular-nums">RM {Math.round(option.monthlyRepayment).toLocaleString()}</span>
+                        </div>
+                        <div className="flex justify-between text-xs text-slate-600">
+                            <span>Bill Savings</span>
+                            <span className="font-semibold tabular-nums text-brand">RM {savingsAmount.toLocaleString()}</span>
+                        </div>
+                        <div className={`flex justify-between text-sm font-bold border-t border-slate-200 pt-2 ${option.netMonthly >= 0 ? 'text-brand' : 'text-red-600'}`}>
+                            <span>Net / month</span>
+                            <span className="tabular-nums">{option.netMonthly < 0 ? '- ' : ''}RM {Math.abs(Math.round(option.netMonthly)).toLocaleString()}</span>
+                        </div>
+                        {option.totalInterest > 0 && (
+                            <div className="text-[10px] text-slate-400">Total interest RM {Math.round(option.totalInterest).toLocaleString()}</div>
+                        )}
+                    </div>
+                ))}
+            </div>
+            <div className="mt-3 text-[11px] text-slate-500">
+                Net cash-flow during the repayment term; after it ends you keep the full RM {savingsAmount.toLocaleString()} savings each month.
+            </div>
         </div>
 
         {/* The 60% Trap Highlight (Reduced size) */}
@@ -957,37 +2672,124 @@ export default function SolarSimulator() {
                 </h3>
                 <p className="text-red-700 text-xs mt-1">
                     Exporting <strong>{Math.round(finalReport.totalExported)} kWh</strong> back to grid creates a lost value of <strong>RM {Math.round(finalReport.lossAmount)}/mo</strong>. 
-                    <button onClick={() => {setStep(4); setHasBattery(true);}} className="underline ml-1 font-bold">Add Battery to fix.</button>
+                    {!isSharedView && <button onClick={() => {setStep(4); setHasBattery(true);}} className="underline ml-1 font-bold">Add Battery to fix.</button>}
                 </p>
             </div>
         )}
         
+        {/* Lead Submission */}
+        {!isSharedView && isPhoneValid && (
+        <div className="bg-white p-4 sm:p-5 rounded-3xl shadow-sm border border-slate-200">
+            <div className="flex items-center justify-between gap-2">
+                <div>
+                    <h3 className="text-sm font-semibold text-slate-600">Your Quote Request</h3>
+                    <div className="text-xs text-slate-500">Sent to our team with this configuration, for +60 {audit.phone}</div>
+                </div>
+                {leadStatus.status === 'sending' && <Loader2 className="w-5 h-5 text-slate-400 animate-spin" />}
+                {leadStatus.status === 'sent' && <CheckCircle2 className="w-5 h-5 text-green-600" />}
+            </div>
+            {leadStatus.status === 'sent' && (
+                <div className="mt-3 text-xs text-green-800 bg-green-50 border border-green-100 rounded-lg p-2">
+                    Received. A consultant will contact you on WhatsApp shortly.
+                </div>
+            )}
+            {leadStatus.status === 'queued' && (
+                <div className="mt-3 text-xs text-orange-800 bg-orange-50 border border-orange-100 rounded-lg p-2">
+                    You appear to be offline ({leadStatus.message}). Your request is saved on this device and will be sent automatically when the connection is back.
+                </div>
+            )}
+            {leadStatus.status === 'unconfigured' && (
+                <div className="mt-3 text-xs text-orange-800 bg-orange-50 border border-orange-100 rounded-lg p-2">
+                    Online requests aren't set up for this planner yet. Your request is saved on this device and will be sent once they are.
+                </div>
+            )}
+            {leadStatus.status === 'failed' && (
+                <div className="mt-3 flex items-start gap-2 text-xs text-red-700 bg-red-50 border border-red-100 rounded-lg p-2">
+                    <AlertTriangle className="w-4 h-4 shrink-0" /> <span>We couldn't submit your request ({leadStatus.message}). Please try again.</span>
+                </div>
+            )}
+            {!['sending', 'queued', 'unconfigured'].includes(leadStatus.status) && (
+                <button
+                    onClick={() => sendLead(finalReport)}
+                    className="mt-3 w-full py-2 rounded-xl border-2 border-slate-200 text-sm font-semibold text-slate-600 hover:border-brand/40 transition-all"
+                >
+                    {leadStatus.status === 'sent' ? 'Send Updated Configuration' : leadStatus.status === 'failed' ? 'Try Again' : 'Send Request'}
+                </button>
+            )}
+            {queuedLeads > 0 && (
+                <div className="mt-2 text-[11px] text-slate-400">{queuedLeads} request{queuedLeads > 1 ? 's' : ''} waiting to be sent.</div>
+            )}
+        </div>
+        )}
+
+        {/* Share Link */}
+        {!isSharedView && (
+            <div className="bg-white p-4 sm:p-5 rounded-3xl shadow-sm border border-slate-200">
+                <div className="flex items-center justify-between gap-2">
+                    <div>
+                        <h3 className="text-sm font-semibold text-slate-600">Share This Report</h3>
+                        <div className="text-xs text-slate-500">A link that reopens this result, without the phone number</div>
+                    </div>
+                    {shareStatus.status === 'copied' && <CheckCircle2 className="w-5 h-5 text-green-600" />}
+                </div>
+                {shareStatus.status === 'manual' && (
+                    <input
+                        aria-label="Share link"
+                        type="text"
+                        readOnly
+                        value={shareStatus.url}
+                        onFocus={(e) => e.target.select()}
+                        className="mt-3 w-full rounded-lg border border-slate-200 px-3 py-2 text-xs text-slate-600 bg-slate-50"
+                    />
+                )}
+                <button
+                    onClick={copyShareLink}
+                    className="mt-3 w-full py-2 rounded-xl border-2 border-slate-200 text-sm font-semibold text-slate-600 hover:border-brand/40 flex items-center justify-center gap-2 transition-all"
+                >
+                    <Link2 className="w-4 h-4" /> {shareStatus.status === 'copied' ? 'Link Copied' : 'Copy Share Link'}
+                </button>
+            </div>
+        )}
+
+        {/* Proposal Download */}
+        <button
+            onClick={() => downloadProposal(finalReport)}
+            disabled={proposalStatus.status === 'building'}
+            className="w-full py-3 rounded-2xl border-2 border-brand text-brand text-sm font-bold hover:bg-brand/5 disabled:opacity-60 flex items-center justify-center gap-2 transition-all"
+        >
+            {proposalStatus.status === 'building' ? <Loader2 className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+            {proposalStatus.status === 'building' ? 'Preparing Proposal...' : 'Download Proposal (PDF)'}
+        </button>
+        {proposalStatus.status === 'failed' && (
+            <div className="flex items-start gap-2 text-xs text-red-700 bg-red-50 border border-red-100 rounded-lg p-2">
+                <AlertTriangle className="w-4 h-4 shrink-0" /> <span>The proposal couldn't be created ({proposalStatus.message}). Please try again.</span>
+            </div>
+        )}
+
+        {!isSharedView && renderScenarioSaver()}
+
         <div className="grid grid-cols-1 gap-3">
              <button 
                 onClick={() => setStep(7)} // Continue to Service Process
-                className="w-full py-3.5 sm:py-4 bg-[#145A0D] text-white rounded-2xl font-bold hover:bg-[#0F450A] transition-all flex items-center justify-center shadow-xl"
+                className="w-full py-3.5 sm:py-4 bg-brand text-white rounded-2xl font-bold hover:bg-brand-dark transition-all flex items-center justify-center shadow-xl"
             >
                 Next: Our Service Process <ArrowRight className="w-4 h-4 ml-2" />
             </button>
+            {!isSharedView && (
             <button 
                 onClick={() => { setStep(2); setSimStats({}); setFinalReport(null); }} // Reset to Welcome
                 className="w-full py-2 text-slate-400 text-sm font-semibold hover:text-slate-600"
             >
                 <RefreshCcw className="w-3 h-3 inline mr-1" /> Start New Audit
             </button>
+            )}
         </div>
       </div>
     );
   };
 
   const renderServiceProcess = () => {
-      const steps = [
-          { icon: <CreditCard className="w-5 h-5"/>, title: "Booking", desc: "Pay a fully refundable deposit of RM1,000 to lock in your promo price and installation slot." },
-          { icon: <FileText className="w-5 h-5"/>, title: "Proposal", desc: "We visit your site and prepare a final technical proposal with precise financial ROI calculations." },
-          { icon: <CheckCircle2 className="w-5 h-5"/>, title: "Finalize Payment", desc: "Once you approve the proposal, proceed with the balance payment to trigger the equipment delivery." },
-          { icon: <Hammer className="w-5 h-5"/>, title: "Installation", desc: "Our certified technical team completes the mounting, wiring, and testing in just 3 days." },
-          { icon: <Clock className="w-5 h-5"/>, title: "Maintenance", desc: "Enjoy peace of mind with our 30-day post-installation monitoring and lifetime support access." },
-      ];
+      const steps = brand.serviceSteps;
 
       return (
         <div className="space-y-6 animate-in slide-in-from-right-8 duration-500 pb-10">
@@ -1011,7 +2813,7 @@ export default function SolarSimulator() {
                                     {/* Connecting Line */}
                                     {i !== steps.length - 1 && (
                                         <div 
-                                            className={`absolute left-[22px] top-14 bottom-[-24px] w-0.5 -z-10 transition-colors duration-500 ${isCompleted ? 'bg-[#145A0D]' : 'bg-slate-200'}`} 
+                                            className={`absolute left-[22px] top-14 bottom-[-24px] w-0.5 -z-10 transition-colors duration-500 ${isCompleted ? 'bg-brand' : 'bg-slate-200'}`} 
                                         />
                                     )}
 
@@ -1019,7 +2821,7 @@ export default function SolarSimulator() {
                                         onClick={() => setActiveServiceStep(i)}
                                         className={`w-full text-left relative flex items-start gap-4 p-4 rounded-2xl border-2 transition-all duration-300 group
                                             ${isActive 
-                                                ? 'bg-white border-[#145A0D] shadow-lg scale-[1.02]' 
+                                                ? 'bg-white border-brand shadow-lg scale-[1.02]' 
                                                 : 'bg-slate-50 border-transparent hover:bg-white hover:border-slate-200'
                                             }
                                         `}
@@ -1027,21 +2829,21 @@ export default function SolarSimulator() {
                                         {/* Icon Circle */}
                                         <div className={`flex-shrink-0 w-12 h-12 rounded-full border-2 flex items-center justify-center transition-all duration-500
                                             ${isActive 
-                                                ? 'bg-[#145A0D] border-[#145A0D] text-white shadow-md' 
+                                                ? 'bg-brand border-brand text-white shadow-md' 
                                                 : isCompleted
-                                                    ? 'bg-[#145A0D] border-[#145A0D] text-white'
+                                                    ? 'bg-brand border-brand text-white'
                                                     : 'bg-white border-slate-300 text-slate-400 group-hover:border-slate-400'
                                             }
                                         `}>
-                                            {isCompleted ? <Check className="w-6 h-6 animate-in zoom-in" /> : s.icon}
+                                            {isCompleted ? <Check className="w-6 h-6 animate-in zoom-in" /> : React.createElement(SERVICE_STEP_ICONS[s.id] || CheckCircle2, { className: "w-5 h-5" })}
                                         </div>
 
                                         <div className="pt-1.5 flex-1">
                                             <div className="flex justify-between items-center">
                                                 <div className="text-xs font-bold text-slate-400 uppercase mb-0.5">Step {i + 1}</div>
-                                                {isActive && <span className="text-[10px] font-bold text-[#145A0D] bg-[#145A0D]/10 px-2 py-0.5 rounded-full animate-pulse">Current</span>}
+                                                {isActive && <span className="text-[10px] font-bold text-brand bg-brand/10 px-2 py-0.5 rounded-full animate-pulse">Current</span>}
                                             </div>
-                                            <h3 className={`font-bold text-lg transition-colors ${isActive ? 'text-[#145A0D]' : 'text-slate-700'}`}>
+                                            <h3 className={`font-bold text-lg transition-colors ${isActive ? 'text-brand' : 'text-slate-700'}`}>
                                                 {s.title}
                                             </h3>
                                             
@@ -1054,7 +2856,7 @@ export default function SolarSimulator() {
                                                     {i < steps.length - 1 && (
                                                         <div 
                                                             onClick={(e) => { e.stopPropagation(); setActiveServiceStep(i + 1); }}
-                                                            className="mt-3 flex items-center text-xs font-bold text-[#145A0D] hover:underline cursor-pointer"
+                                                            className="mt-3 flex items-center text-xs font-bold text-brand hover:underline cursor-pointer"
                                                         >
                                                             Next Step <ChevronDown className="w-3 h-3 ml-1" />
                                                         </div>
@@ -1072,7 +2874,7 @@ export default function SolarSimulator() {
 
             <button 
                 onClick={() => setStep(8)}
-                className="w-full py-3.5 sm:py-4 bg-[#145A0D] text-white rounded-2xl font-bold hover:bg-[#0F450A] transition-all flex items-center justify-center shadow-xl"
+                className="w-full py-3.5 sm:py-4 bg-brand text-white rounded-2xl font-bold hover:bg-brand-dark transition-all flex items-center justify-center shadow-xl"
             >
                 Next: Why Choose Us <ArrowRight className="w-4 h-4 ml-2" />
             </button>
@@ -1081,46 +2883,16 @@ export default function SolarSimulator() {
   };
 
   const renderUSP = () => {
-      const usps = [
-          {
-              id: 0,
-              icon: <ShieldCheck className="w-8 h-8"/>,
-              label: "Warranty",
-              title: "10-Year Product Warranty",
-              desc: "1-to-1 Exchange. We replace with a NEW unit if anything goes wrong, giving you absolute peace of mind for a decade.",
-              color: "bg-green-600",
-              lightColor: "bg-green-50",
-              borderColor: "border-green-200"
-          },
-          {
-              id: 1,
-              icon: <Zap className="w-8 h-8"/>,
-              label: "Performance",
-              title: "30-Year Performance",
-              desc: "Guaranteed efficiency and power output stability for three decades. Your investment continues to pay off long term.",
-              color: "bg-slate-800",
-              lightColor: "bg-slate-50",
-              borderColor: "border-slate-200"
-          },
-          {
-              id: 2,
-              icon: <Smartphone className="w-8 h-8"/>,
-              label: "Monitoring",
-              title: "Clear Usage Report",
-              desc: "Track your savings and power generation in real-time via our Homi App. See exactly what you save every day.",
-              color: "bg-blue-600",
-              lightColor: "bg-blue-50",
-              borderColor: "border-blue-200"
-          }
-      ];
-
-      const activeData = usps[activeUSPIndex];
+      const usps = brand.usps;
+
+      const activeData = usps[activeUSPIndex] || usps[0];
+      const activeTone = USP_TONES[activeData.tone] || USP_TONES.slate;
 
       return (
         <div className="space-y-6 animate-in slide-in-from-right-8 duration-500 pb-10">
             <div className="bg-white p-5 sm:p-8 rounded-3xl shadow-sm border border-slate-200">
                 <h2 className="text-xl sm:text-2xl font-bold text-slate-800 text-center mb-2">
-                    Why Choose HomifyTech?
+                    Why Choose {brand.name}?
                 </h2>
                 <p className="text-sm text-slate-500 text-center mb-8">
                     Tap an icon below to explore our benefits.
@@ -1134,8 +2906,8 @@ export default function SolarSimulator() {
                             onClick={() => setActiveUSPIndex(index)}
                             className={`flex flex-col items-center gap-2 transition-all duration-300 outline-none group ${activeUSPIndex === index ? 'scale-110 opacity-100' : 'opacity-50 hover:opacity-80 scale-95'}`}
                         >
-                            <div className={`w-14 h-14 sm:w-16 sm:h-16 rounded-2xl flex items-center justify-center text-white shadow-lg transition-all duration-300 ${activeUSPIndex === index ? item.color : 'bg-slate-300 group-hover:bg-slate-400'}`}>
-                                {React.cloneElement(item.icon, { className: "w-6 h-6 sm:w-7 sm:h-7" })}
+                            <div className={`w-14 h-14 sm:w-16 sm:h-16 rounded-2xl flex items-center justify-center text-white shadow-lg transition-all duration-300 ${activeUSPIndex === index ? (USP_TONES[item.tone] || USP_TONES.slate).color : 'bg-slate-300 group-hover:bg-slate-400'}`}>
+                                {React.createElement(USP_ICONS[item.id] || ShieldCheck, { className: "w-6 h-6 sm:w-7 sm:h-7" })}
                             </div>
                             <span className={`text-[10px] font-bold uppercase tracking-wider transition-colors ${activeUSPIndex === index ? 'text-slate-800' : 'text-slate-400'}`}>
                                 {item.label}
@@ -1145,10 +2917,10 @@ export default function SolarSimulator() {
                 </div>
 
                 {/* Dynamic Content Card */}
-                <div key={activeUSPIndex} className={`mt-6 rounded-3xl p-6 sm:p-8 border-2 transition-all duration-500 animate-in fade-in slide-in-from-bottom-3 ${activeData.lightColor} ${activeData.borderColor}`}>
+                <div key={activeUSPIndex} className={`mt-6 rounded-3xl p-6 sm:p-8 border-2 transition-all duration-500 animate-in fade-in slide-in-from-bottom-3 ${activeTone.lightColor} ${activeTone.borderColor}`}>
                     <div className="flex flex-col items-center text-center">
-                        <div className={`w-12 h-12 rounded-full flex items-center justify-center mb-4 ${activeData.color} text-white shadow-xl shadow-black/10`}>
-                            {React.cloneElement(activeData.icon, { className: "w-6 h-6" })}
+                        <div className={`w-12 h-12 rounded-full flex items-center justify-center mb-4 ${activeTone.color} text-white shadow-xl shadow-black/10`}>
+                            {React.createElement(USP_ICONS[activeData.id] || ShieldCheck, { className: "w-6 h-6" })}
                         </div>
                         <h3 className="text-xl font-bold text-slate-800 mb-3">{activeData.title}</h3>
                         <p className="text-sm text-slate-600 leading-relaxed max-w-sm">
@@ -1160,7 +2932,7 @@ export default function SolarSimulator() {
 
             <button 
                 onClick={() => setStep(9)}
-                className="w-full py-3.5 sm:py-4 bg-[#145A0D] text-white rounded-2xl font-bold hover:bg-[#0F450A] transition-all flex items-center justify-center shadow-xl"
+                className="w-full py-3.5 sm:py-4 bg-brand text-white rounded-2xl font-bold hover:bg-brand-dark transition-all flex items-center justify-center shadow-xl"
             >
                 Next: Common Questions <ArrowRight className="w-4 h-4 ml-2" />
             </button>
@@ -1169,13 +2941,7 @@ export default function SolarSimulator() {
   };
 
   const renderFAQ = () => {
-      const faqs = [
-          { q: "How long does installation take?", a: "Installation is typically completed within 3 days by our certified technical team." },
-          { q: "What happens during rainy days?", a: "Solar panels still generate power during cloudy days, though at reduced efficiency. If you have a battery, your stored night-time energy can act as a buffer." },
-          { q: "Is there a warranty for the inverter?", a: "Yes, inverters typically come with a 5-10 year warranty depending on the brand selected." },
-          { q: "Do you handle the TNB application?", a: "Yes, we handle all the paperwork including NEM application and meter change with TNB." },
-          { q: "What maintenance is required?", a: "Solar panels are very low maintenance. We recommend a simple cleaning every 6 months to ensure maximum efficiency." },
-      ];
+      const faqs = brand.faq;
 
       return (
         <div className="space-y-6 animate-in slide-in-from-right-8 duration-500 pb-10">
@@ -1207,11 +2973,16 @@ export default function SolarSimulator() {
                         </div>
                     ))}
                 </div>
+                {(brand.contact.phone || brand.contact.email) && (
+                    <p className="text-sm text-slate-500 text-center mt-6">
+                        More questions? Reach {brand.name} at <span className="font-semibold text-slate-700">{[brand.contact.phone, brand.contact.email].filter(Boolean).join(' or ')}</span>.
+                    </p>
+                )}
             </div>
 
             <button 
-                onClick={() => { setStep(2); setSimStats({}); setFinalReport(null); }} // Loop back to Welcome
-                className="w-full py-3.5 sm:py-4 bg-[#145A0D] text-white rounded-2xl font-bold hover:bg-[#0F450A] transition-all flex items-center justify-center shadow-xl"
+                onClick={() => { if (isSharedView) leaveSharedView(); setStep(2); setSimStats({}); setFinalReport(null); }} // Loop back to Welcome
+                className="w-full py-3.5 sm:py-4 bg-brand text-white rounded-2xl font-bold hover:bg-brand-dark transition-all flex items-center justify-center shadow-xl"
             >
                 <RefreshCcw className="w-4 h-4 mr-2" /> Start New Client Audit
             </button>
@@ -1220,35 +2991,39 @@ export default function SolarSimulator() {
   };
 
   return (
-    <div className="min-h-screen bg-slate-50 font-sans text-slate-900 selection:bg-[#145A0D]/20">
+    <div
+        className="min-h-screen bg-slate-50 font-sans text-slate-900 selection:bg-brand/20"
+        style={{ '--color-brand': brandColors.primary, '--color-brand-dark': brandColors.primaryDark }}
+    >
       {/* App Header */}
-      <div className="bg-white border-b border-[#145A0D]/15 sticky top-0 z-50">
+      <div className="bg-white border-b border-brand/15 sticky top-0 z-50">
           <div className="max-w-3xl mx-auto px-3 sm:px-4 h-14 sm:h-16 flex items-center justify-between">
               <div className="flex items-center gap-2">
-                  <img
-                        src="https://homifytech.com.my/wp-content/uploads/2025/04/homi-%E6%A9%AB-1536x369.png"
-                        alt="HomifyTech"
-                        className="h-6 sm:h-7 md:h-8 w-auto"
-                        onError={(e) => {
-                            e.target.onerror = null;
-                            e.target.style.display = 'none';
-                            e.target.parentNode.innerHTML = '<span class="text-xl font-bold text-slate-800">HomifyTech</span>';
-                        }}
-                    />
+                  <BrandLogo brand={brand} className="h-6 sm:h-7 md:h-8 w-auto" />
               </div>
               <div className="flex items-center gap-2">
-                  {step > 0 && (
+                  {step >= 2 && step !== 11 && !isSharedView && (
+                      <button
+                          type="button"
+                          onClick={openClients}
+                          aria-label="Saved clients"
+                          className="p-1.5 text-brand bg-brand/10 rounded-lg hover:bg-brand/15 transition-all"
+                      >
+                          <Users className="w-4 h-4" />
+                      </button>
+                  )}
+                  {step > introStep && !(isSharedView && step === 6) && (
                       <button
                           type="button"
-                          onClick={() => setStep(prev => Math.max(0, prev - 1))}
-                          className="px-2.5 py-1 text-xs sm:text-sm font-semibold text-[#145A0D] bg-[#145A0D]/10 rounded-lg hover:bg-[#145A0D]/15 transition-all"
+                          onClick={() => (step >= 10 ? setStep(returnStep) : setStep(prev => Math.max(introStep, prev - 1)))}
+                          className="px-2.5 py-1 text-xs sm:text-sm font-semibold text-brand bg-brand/10 rounded-lg hover:bg-brand/15 transition-all"
                       >
                           Back
                       </button>
                   )}
                   <div className="flex gap-1">
                       {[0,1,2,3,4,5,6,7,8,9].map(s => (
-                          <div key={s} className={`h-1.5 w-3 sm:w-4 rounded-full transition-all ${step >= s ? 'bg-[#145A0D]' : 'bg-[#145A0D]/20'}`} />
+                          <div key={s} className={`h-1.5 w-3 sm:w-4 rounded-full transition-all ${step >= s ? 'bg-brand' : 'bg-brand/20'}`} />
                       ))}
                   </div>
               </div>
@@ -1256,8 +3031,7 @@ export default function SolarSimulator() {
       </div>
 
       <main className="max-w-3xl mx-auto px-3 py-4 sm:p-4 md:p-6 pb-16 sm:pb-24">
-            {step === 0 && renderTestimonialScreen(0)}
-            {step === 1 && renderTestimonialScreen(1)}
+            {step < 2 && renderTestimonialScreen(step - introStep)}
             {step === 2 && renderWelcome()}
             {step === 3 && renderAudit()}
             {step === 4 && renderStrategy()}
@@ -1266,6 +3040,8 @@ export default function SolarSimulator() {
             {step === 7 && renderServiceProcess()}
             {step === 8 && renderUSP()}
             {step === 9 && renderFAQ()}
+            {step === 10 && renderComparison()}
+            {step === 11 && renderClients()}
       </main>
 
       {/* Battery Info Modal */}
@@ -1354,15 +3130,15 @@ export default function SolarSimulator() {
                     </div>
                 </div>
                 
-                <div className="bg-[#145A0D]/5 border border-[#145A0D]/10 rounded-xl p-4 text-center">
-                    <p className="text-sm font-medium text-[#145A0D] leading-relaxed">
-                        <span className="font-bold">Why it saves more:</span> You earn an additional <span className="font-extrabold underline decoration-[#145A0D]/30">30%</span> by using your own power compared to buying from TNB.
+                <div className="bg-brand/5 border border-brand/10 rounded-xl p-4 text-center">
+                    <p className="text-sm font-medium text-brand leading-relaxed">
+                        <span className="font-bold">Why it saves more:</span> You earn an additional <span className="font-extrabold underline decoration-brand/30">30%</span> by using your own power compared to buying from TNB.
                     </p>
                 </div>
                 
                 <button
                     onClick={() => setShowBatteryInfo(false)}
-                    className="w-full mt-6 py-3.5 rounded-xl font-bold bg-[#145A0D] text-white shadow-lg shadow-[#145A0D]/20 hover:bg-[#0F450A] transition-all"
+                    className="w-full mt-6 py-3.5 rounded-xl font-bold bg-brand text-white shadow-lg shadow-brand/20 hover:bg-brand-dark transition-all"
                 >
                     Understood
                 </button>
@@ -0,0 +1,180 @@
+/**
+ * TARIFF PROFILES (Malaysian Context)
+ *
+ * Each profile describes how a customer is billed:
+ * - tiers: monthly energy blocks ({ limit, rate }), priced cumulatively
+ * - tou: optional Time-of-Use windows; when present, energy is priced by
+ *   peak/off-peak hour instead of by block
+ * - fixedCharges: flat monthly amounts added to every bill
+ * - minimumCharge: the least a month is ever billed (a floor, not a charge)
+ * - export: how exported solar is credited back (NEM)
+ */
+export const TARIFF_PROFILES = [
+  {
+    id: 'tnb-domestic',
+    name: 'TNB Domestic',
+    shortName: 'Domestic',
+    description: 'Standard residential block tariff',
+    tiers: [
+      { limit: 200, rate: 0.218 },
+      { limit: 100, rate: 0.334 }, // 201-300
+      { limit: 300, rate: 0.516 }, // 301-600
+      { limit: 300, rate: 0.546 }, // 601-900
+      { limit: Infinity, rate: 0.571 } // >900
+    ],
+    tou: null,
+    fixedCharges: [],
+    minimumCharge: 0,
+    export: {
+      valuation: 'marginal', // Credit at the rate of the block the import lands in
+      factor: 0.7, // Export credit as % of that rate (no battery)
+      batteryFactor: 0.3, // Export credit as % of that rate (excess after battery)
+      nemExportRate: 0.24, // Approx avg selling price (simplified)
+      avgGridRate: 0.45 // Blended avg buying price for estimation
+    }
+  },
+  {
+    id: 'tnb-domestic-tou',
+    name: 'TNB Domestic Time-of-Use',
+    shortName: 'ToU',
+    description: 'Cheaper off-peak energy, dearer 2pm-10pm',
+    tiers: [],
+    tou: {
+      peakStart: 14, // 2pm
+      peakEnd: 22, // 10pm
+      peakRate: 0.584,
+      offPeakRate: 0.372
+    },
+    fixedCharges: [
+      { label: 'Retail Charge', amount: 10 }
+    ],
+    minimumCharge: 0,
+    export: {
+      valuation: 'marginal', // Exports happen midday, so they offset off-peak energy
+      factor: 0.7,
+      batteryFactor: 0.3,
+      nemExportRate: 0.24,
+      avgGridRate: 0.48
+    }
+  },
+  {
+    id: 'tnb-commercial',
+    name: 'TNB Commercial (Shop-lot)',
+    shortName: 'Commercial',
+    description: 'Low-voltage commercial tariff for shop-lots',
+    tiers: [
+      { limit: 200, rate: 0.435 },
+      { limit: Infinity, rate: 0.509 } // >200
+    ],
+    tou: null,
+    fixedCharges: [],
+    minimumCharge: 7.2,
+    export: {
+      valuation: 'fixed', // Credited at a flat export rate regardless of import
+      rate: 0.24,
+      nemExportRate: 0.24,
+      avgGridRate: 0.5
+    }
+  }
+];
+
+export const DEFAULT_TARIFF_ID = TARIFF_PROFILES[0].id;
+
+export const getTariffProfile = (id) => {
+  return TARIFF_PROFILES.find((profile) => profile.id === id) || TARIFF_PROFILES[0];
+};
+
+const formatHour = (hour) => `${String(hour).padStart(2, '0')}:00`;
+
+// Helper: Whether an hour of the day (fractional allowed) is ToU peak
+export const isPeakHour = (profile, hour) => {
+  if (!profile.tou) return false;
+  const h = ((Math.floor(hour) % 24) + 24) % 24;
+  return h >= profile.tou.peakStart && h < profile.tou.peakEnd;
+};
+
+// Helper: Split monthly kWh across the tariff blocks
+const calculateTierRows = (tiers, kwh) => {
+  let remaining = Math.max(0, kwh);
+  let from = 0;
+  return tiers.map((tier) => {
+    const amountInTier = Math.min(remaining, tier.limit);
+    remaining -= amountInTier;
+    const to = from + tier.limit;
+    const row = {
+      key: `tier-${from}`,
+      label: Number.isFinite(to) ? `${from + 1}-${to} kWh` : `>${from} kWh`,
+      rate: tier.rate,
+      kwh: amountInTier,
+      cost: amountInTier * tier.rate
+    };
+    from = to;
+    return row;
+  });
+};
+
+// Helper: Split monthly kWh into ToU peak/off-peak buckets
+const calculateTouRows = (tou, kwh, peakKwh) => {
+  const peak = Math.min(Math.max(0, peakKwh), Math.max(0, kwh));
+  const offPeak = Math.max(0, kwh - peak);
+  return [
+    {
+      key: 'peak',
+      label: `Peak ${formatHour(tou.peakStart)}-${formatHour(tou.peakEnd)}`,
+      rate: tou.peakRate,
+      kwh: peak,
+      cost: peak * tou.peakRate
+    },
+    {
+      key: 'off-peak',
+      label: 'Off-Peak',
+      rate: tou.offPeakRate,
+      kwh: offPeak,
+      cost: offPeak * tou.offPeakRate
+    }
+  ];
+};
+
+// Helper: Itemised energy charges for a month of grid import
+export const calculateEnergyBreakdown = (profile, kwh, peakKwh = 0) => {
+  return profile.tou
+    ? calculateTouRows(profile.tou, kwh, peakKwh)
+    : calculateTierRows(profile.tiers, kwh);
+};
+
+export const getFixedCharge = (profile) => {
+  return profile.fixedCharges.reduce((total, charge) => total + charge.amount, 0);
+};
+
+// Helper: A month's bill raised to the profile's minimum charge where it falls short
+export const applyMinimumCharge = (profile, amount) => Math.max(profile.minimumCharge, amount);
+
+// Helper: Calculate Bill from kWh (energy + fixed charges, at least the minimum charge)
+export const calculateKwhToBill = (profile, kwh, peakKwh = 0) => {
+  const energy = calculateEnergyBreakdown(profile, kwh, peakKwh)
+    .reduce((total, row) => total + row.cost, 0);
+  return applyMinimumCharge(profile, energy + getFixedCharge(profile));
+};
+
+// Helper: Rate of the energy the last kWh of a month is charged at
+export const getMarginalRate = (profile, kwh) => {
+  if (profile.tou) return profile.tou.offPeakRate;
+  let ceiling = 0;
+  for (const tier of profile.tiers) {
+    ceiling += tier.limit;
+    if (kwh <= ceiling) return tier.rate;
+  }
+  return profile.tiers[profile.tiers.length - 1].rate;
+};
+
+// Helper: NEM credit for a month of exports, never more than the energy charges
+export const calculateExportCredit = (profile, exportKwh, importKwh, energyCost, withBattery) => {
+  const rule = profile.export;
+  const rate = rule.valuation === 'fixed'
+    ? rule.rate
+    : getMarginalRate(profile, importKwh) * (withBattery ? rule.batteryFactor : rule.factor);
+  return {
+    rate,
+    credit: Math.min(energyCost, Math.max(0, exportKwh) * rate)
+  };
+};
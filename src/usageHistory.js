@@ -0,0 +1,108 @@
+/**
+ * USAGE HISTORY
+ *
+ * Up to twelve months of kWh readings kept by calendar month (Jan-Dec), so
+ * seasonal swings (Raya, school holidays, hot months) line up with the
+ * month-by-month solar yield.
+ */
+import { MONTH_LABELS } from './irradiance.js';
+
+export const USAGE_BASES = [
+  { id: 'average', name: 'Average', description: 'Size on the average month' },
+  { id: 'peak', name: 'Peak', description: 'Size on the highest month' },
+  { id: 'monthly', name: 'Month by Month', description: 'Simulate each month on its own usage' }
+];
+
+export const DEFAULT_USAGE_BASIS = USAGE_BASES[0].id;
+
+export const MAX_MONTHLY_KWH = 20000;
+
+export const createEmptyUsage = () => Array(12).fill(null);
+
+// Helper: Readings keyed 'YYYY-MM' -> calendar-month slots (newest reading wins)
+export const historyToMonthlyUsage = (history) => {
+  const usage = createEmptyUsage();
+  [...history]
+    .sort((a, b) => a.month.localeCompare(b.month))
+    .forEach((entry) => {
+      const monthIndex = Number(entry.month.slice(5, 7)) - 1;
+      if (monthIndex >= 0 && monthIndex < 12) usage[monthIndex] = entry.kwh;
+    });
+  return usage;
+};
+
+const MONTH_ALIASES = {
+  jan: 0, feb: 1, mar: 2, mac: 2, apr: 3, may: 4, mei: 4, jun: 5,
+  jul: 6, aug: 7, ogo: 7, sep: 8, oct: 9, okt: 9, nov: 10, dec: 11, dis: 11
+};
+
+const readMonth = (label) => {
+  const text = label.trim().toLowerCase();
+  const isoMatch = text.match(/^\d{4}-(\d{1,2})$/);
+  if (isoMatch) return Number(isoMatch[1]) - 1;
+  if (/^\d{1,2}$/.test(text)) return Number(text) - 1;
+  const alias = MONTH_ALIASES[text.slice(0, 3)];
+  return alias === undefined ? null : alias;
+};
+
+/**
+ * Parse pasted CSV. Accepts "month,kWh" rows (Jan / 2025-01 / 1) or a bare
+ * list of up to 12 numbers taken as Jan-Dec. Returns null if nothing usable.
+ */
+export const parseUsageCsv = (text) => {
+  const rows = text.split(/\r?\n/).map((row) => row.trim()).filter(Boolean);
+  if (rows.length === 0) return null;
+
+  const usage = createEmptyUsage();
+  let found = 0;
+
+  const isLabelled = rows.some((row) => /[a-z]|\d{4}-\d/i.test(row.split(/[,;\t]/)[0]));
+  if (isLabelled) {
+    rows.forEach((row) => {
+      const [label, value] = row.split(/[,;\t]/);
+      const monthIndex = label === undefined ? null : readMonth(label);
+      const kwh = Number(String(value).replace(/[^\d.]/g, ''));
+      if (monthIndex === null || monthIndex < 0 || monthIndex > 11) return;
+      if (!value || !Number.isFinite(kwh) || kwh <= 0 || kwh > MAX_MONTHLY_KWH) return;
+      usage[monthIndex] = kwh;
+      found += 1;
+    });
+  } else {
+    rows.join(',').split(/[,;\t\s]+/).filter(Boolean).slice(0, 12).forEach((value, monthIndex) => {
+      const kwh = Number(value);
+      if (!Number.isFinite(kwh) || kwh <= 0 || kwh > MAX_MONTHLY_KWH) return;
+      usage[monthIndex] = kwh;
+      found += 1;
+    });
+  }
+
+  return found > 0 ? usage : null;
+};
+
+export const summarizeUsage = (usage) => {
+  const readings = usage
+    .map((kwh, monthIndex) => ({ kwh, monthIndex }))
+    .filter((entry) => entry.kwh !== null && entry.kwh > 0);
+  if (readings.length === 0) return null;
+
+  const peak = readings.reduce((max, entry) => (entry.kwh > max.kwh ? entry : max));
+  const low = readings.reduce((min, entry) => (entry.kwh < min.kwh ? entry : min));
+  return {
+    count: readings.length,
+    average: readings.reduce((total, entry) => total + entry.kwh, 0) / readings.length,
+    peak: peak.kwh,
+    peakMonth: MONTH_LABELS[peak.monthIndex],
+    low: low.kwh,
+    lowMonth: MONTH_LABELS[low.monthIndex]
+  };
+};
+
+// Helper: Monthly kWh the system is sized on for a given basis
+export const getSizingKwh = (summary, basis) => {
+  return basis === 'peak' ? summary.peak : summary.average;
+};
+
+// Helper: Every calendar month's kWh, gaps filled with the average
+export const fillMonthlyUsage = (usage, summary) => {
+  return usage.map((kwh) => (kwh !== null && kwh > 0 ? kwh : summary.average));
+};
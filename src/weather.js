@@ -0,0 +1,47 @@
+/**
+ * WEATHER GENERATOR
+ *
+ * Produces a reproducible run of sunny/cloudy/rainy days. Each day carries
+ * a factor applied to the average daily solar yield; the mix is weighted so
+ * a month averages out close to 1.0.
+ */
+export const DEFAULT_WEATHER_SEED = 20250401;
+
+export const WEATHER_TYPES = {
+  sunny: { label: 'Sunny', chance: 0.6, minFactor: 1.15, maxFactor: 1.3 },
+  cloudy: { label: 'Cloudy', chance: 0.28, minFactor: 0.7, maxFactor: 0.9 },
+  rainy: { label: 'Rainy', chance: 0.12, minFactor: 0.3, maxFactor: 0.5 }
+};
+
+// Helper: Small seeded PRNG (mulberry32), returns floats in [0, 1)
+export const createRng = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const pickWeatherType = (roll) => {
+  let cumulative = 0;
+  for (const [type, weather] of Object.entries(WEATHER_TYPES)) {
+    cumulative += weather.chance;
+    if (roll < cumulative) return type;
+  }
+  return 'sunny';
+};
+
+export const generateWeather = (days, seed = DEFAULT_WEATHER_SEED) => {
+  const rng = createRng(seed);
+  return Array.from({ length: days }, () => {
+    const type = pickWeatherType(rng());
+    const { minFactor, maxFactor } = WEATHER_TYPES[type];
+    return {
+      type,
+      factor: minFactor + (maxFactor - minFactor) * rng()
+    };
+  });
+};
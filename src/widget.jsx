@@ -0,0 +1,110 @@
+/**
+ * EMBEDDABLE WIDGET
+ *
+ * Defines <homi-solar-calculator> for partner sites. The planner renders
+ * inside a shadow root with its own copy of the stylesheet, so host page
+ * CSS can't reach it and ours can't leak out.
+ *
+ *   <homi-solar-calculator
+ *     start-step="welcome"                       intro | welcome | audit
+ *     default-usage="900"                        kWh / month for a new audit
+ *     brand-config="/partner-brand.json"         white-label config (see brand.js)
+ *     brand-color="#0057B8"                      hex, replaces the brand's colour
+ *     lead-endpoint="https://crm.example.com/leads">
+ *   </homi-solar-calculator>
+ *
+ * Each report is announced with window.postMessage (to the parent frame
+ * when embedded in an iframe) as { type: 'homi-solar:report', report }, and
+ * as a bubbling "report" event on the element itself.
+ */
+import { StrictMode } from 'react';
+import { createRoot } from 'react-dom/client';
+import styles from './index.css?inline';
+import { loadBrand } from './brand.js';
+import SolarSimulator from './solar.jsx';
+
+const WIDGET_TAG = 'homi-solar-calculator';
+const REPORT_MESSAGE_TYPE = 'homi-solar:report';
+
+const START_STEPS = { intro: 0, welcome: 2, audit: 3 };
+
+// Helper: Attribute values the planner accepts, anything else is ignored
+const readUsage = (value) => {
+  const kwh = Number(value);
+  return Number.isFinite(kwh) && kwh > 0 ? Math.min(3000, Math.max(200, Math.round(kwh))) : undefined;
+};
+const readColor = (value) => (/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value || '') ? value : undefined);
+
+// Custom properties (@property) are ignored inside shadow roots, so Tailwind's
+// are registered once on the host document
+const registerCustomProperties = () => {
+  if (document.getElementById(`${WIDGET_TAG}-properties`)) return;
+  const style = document.createElement('style');
+  style.id = `${WIDGET_TAG}-properties`;
+  style.textContent = (styles.match(/@property[^{]+\{[^}]*\}/g) || []).join('\n');
+  document.head.appendChild(style);
+};
+
+class HomiSolarCalculator extends HTMLElement {
+  static observedAttributes = ['start-step', 'default-usage', 'brand-config', 'brand-color', 'lead-endpoint'];
+
+  connectedCallback() {
+    if (!this.shadowRoot) {
+      registerCustomProperties();
+      const shadow = this.attachShadow({ mode: 'open' });
+      const style = document.createElement('style');
+      style.textContent = styles;
+      this.container = document.createElement('div');
+      shadow.append(style, this.container);
+    }
+    this.root = createRoot(this.container);
+    this.applyBrandConfig();
+  }
+
+  disconnectedCallback() {
+    this.root?.unmount();
+    this.root = null;
+  }
+
+  // Colour and endpoint apply live; step and usage only seed a new planner
+  attributeChangedCallback(name) {
+    if (!this.root) return;
+    if (name === 'brand-config') this.applyBrandConfig();
+    else this.renderPlanner();
+  }
+
+  // Nothing renders until the brand is known, so a partner never sees ours first
+  async applyBrandConfig() {
+    const url = this.getAttribute('brand-config');
+    const brand = await loadBrand(url || undefined);
+    if (!this.root || this.getAttribute('brand-config') !== url) return;
+    this.brand = brand;
+    this.renderPlanner();
+  }
+
+  announceReport = (report) => {
+    const target = window.parent !== window ? window.parent : window;
+    target.postMessage({ type: REPORT_MESSAGE_TYPE, report }, '*');
+    this.dispatchEvent(new CustomEvent('report', { detail: report, bubbles: true, composed: true }));
+  };
+
+  renderPlanner() {
+    if (!this.brand) return;
+    this.root.render(
+      <StrictMode>
+        <SolarSimulator
+          brand={this.brand}
+          initialStep={START_STEPS[this.getAttribute('start-step')] ?? 0}
+          defaultMonthlyKwh={readUsage(this.getAttribute('default-usage'))}
+          brandColor={readColor(this.getAttribute('brand-color'))}
+          leadEndpoint={this.getAttribute('lead-endpoint') || undefined}
+          onReport={this.announceReport}
+        />
+      </StrictMode>
+    );
+  }
+}
+
+if (!customElements.get(WIDGET_TAG)) {
+  customElements.define(WIDGET_TAG, HomiSolarCalculator);
+}
@@ -1,7 +1,9 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { mockLeadServer } from './mock/leadServer.js'
+import { offlineServiceWorker } from './offline/serviceWorker.js'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), mockLeadServer(), offlineServiceWorker()],
 })
@@ -0,0 +1,24 @@
+import { defineConfig } from 'vite'
+import react from '@vitejs/plugin-react'
+
+// Widget build: one self-contained script that defines <homi-solar-calculator>
+// (see src/widget.jsx). Styles, pdf.js and jsPDF are all bundled in.
+export default defineConfig({
+  plugins: [react()],
+  publicDir: false,
+  define: {
+    'process.env.NODE_ENV': JSON.stringify('production'),
+  },
+  build: {
+    outDir: 'dist/widget',
+    lib: {
+      entry: 'src/widget.jsx',
+      name: 'HomiSolarCalculator',
+      formats: ['iife'],
+      fileName: () => 'homi-solar-calculator.js',
+    },
+    rollupOptions: {
+      output: { inlineDynamicImports: true },
+    },
+  },
+})